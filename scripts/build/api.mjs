@@ -0,0 +1,35 @@
+import path from "node:path";
+
+// Static JSON shaped like the V2EX v1 responses consumed by scripts/fetch, so
+// another mirror can sync from this site with V2EX_API_LAYOUT=static.
+export const API_NODE_PAGE_SIZE = 20;
+
+export function apiTopicFiles(apiDir, id) {
+  return [path.join(apiDir, "topics", `${id}.json`), path.join(apiDir, "replies", `${id}.json`)];
+}
+
+export function apiTopicList(items, topicMap, tombstones) {
+  const topics = [];
+  for (const item of items ?? []) {
+    const id = Number(item?.id);
+    if (!Number.isFinite(id) || id <= 0 || tombstones.has(id)) continue;
+    topics.push(topicMap.get(id) ?? item);
+  }
+  return JSON.stringify(topics);
+}
+
+// Node listings end with an empty page, which is how the backfill tells a
+// node is exhausted (a missing page would be retried as an error instead).
+export function apiNodePages(topics) {
+  const pages = [];
+  for (let i = 0; i < topics.length; i += API_NODE_PAGE_SIZE) {
+    pages.push(JSON.stringify(topics.slice(i, i + API_NODE_PAGE_SIZE)));
+  }
+  pages.push("[]");
+  return pages;
+}
+
+export function apiMember(doc) {
+  const member = { ...(doc?.member ?? {}), ...(doc?.profile ?? {}) };
+  return member.username ? JSON.stringify(member) : null;
+}
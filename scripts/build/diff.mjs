@@ -0,0 +1,42 @@
+const MAX_DIFF_CELLS = 4_000_000;
+
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map((text) => ({ type: "del", text })), ...b.map((text) => ({ type: "add", text }))];
+  }
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: "same", text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: "del", text: a[i] });
+      i += 1;
+    } else {
+      ops.push({ type: "add", text: b[j] });
+      j += 1;
+    }
+  }
+  while (i < a.length) ops.push({ type: "del", text: a[i++] });
+  while (j < b.length) ops.push({ type: "add", text: b[j++] });
+  return ops;
+}
+
+function splitLines(text) {
+  const normalized = String(text ?? "").replace(/\r\n?/g, "\n");
+  return normalized ? normalized.split("\n") : [];
+}
@@ -0,0 +1,69 @@
+// Ranking for /hot/ past the V2EX hot list and for the /hot/<window>/ pages.
+// Every algorithm starts from the reply count plus a bonus for reply velocity,
+// the replies gained per hour over the last `velocityHours`, read from the
+// reply counts the sync records in data/index/reply_snapshots.json:
+//
+//   gravity   (replies + velocityWeight * velocity) / (ageHours + ageOffsetHours) ^ gravity
+//   decay     (replies + velocityWeight * velocity) * 0.5 ^ (ageHours / halfLifeHours)
+//   replies   reply count alone, newest reply first on ties
+//
+// Age is counted from the topic's creation, so old threads that are still busy
+// need a high velocity to stay on top.
+export const HOT_ALGORITHMS = ["gravity", "decay", "replies"];
+
+const HOUR = 60 * 60;
+
+export function createHotRanker({
+  algorithm = "gravity",
+  gravity = 1.8,
+  halfLifeHours = 24,
+  ageOffsetHours = 2,
+  velocityHours = 24,
+  velocityWeight = 24,
+  snapshots = {},
+  now = Math.floor(Date.now() / 1000)
+} = {}) {
+  if (!HOT_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown HOT_RANKING "${algorithm}": expected one of ${HOT_ALGORITHMS.join(", ")}`);
+  }
+  const lastReplyAt = (topic) => Number(topic?.last_touched ?? topic?.last_modified ?? topic?.created ?? 0);
+
+  function velocity(topic) {
+    const history = Array.isArray(snapshots[topic?.id]) ? snapshots[topic.id] : [];
+    if (!history.length) return 0;
+    // Counts are only recorded when they change, so the count at the start of
+    // the window is the last one recorded before it.
+    const since = now - velocityHours * HOUR;
+    let base = null;
+    for (const entry of history) {
+      if (entry[0] <= since) base = entry;
+      else {
+        base ??= entry;
+        break;
+      }
+    }
+    const current = Math.max(Number(topic?.replies ?? 0), Number(history.at(-1)[1]));
+    const hours = Math.max(1, (now - Math.max(base[0], since)) / HOUR);
+    return Math.max(0, current - Number(base[1])) / hours;
+  }
+
+  function score(topic) {
+    const replies = Number(topic?.replies ?? 0);
+    if (algorithm === "replies") return replies;
+    const ageHours = Math.max(0, now - Number(topic?.created || lastReplyAt(topic))) / HOUR;
+    const weight = replies + velocityWeight * velocity(topic);
+    return algorithm === "gravity" ? weight / (ageHours + ageOffsetHours) ** gravity : weight * 0.5 ** (ageHours / halfLifeHours);
+  }
+
+  // Topics created within the last `sinceHours`, or all of them, best first.
+  function rank(topics, { sinceHours = null } = {}) {
+    const since = sinceHours === null ? -Infinity : now - sinceHours * HOUR;
+    return topics
+      .filter((topic) => Number(topic?.id) > 0 && Number(topic?.created ?? 0) >= since)
+      .map((topic) => ({ topic, score: score(topic) }))
+      .sort((a, b) => b.score - a.score || lastReplyAt(b.topic) - lastReplyAt(a.topic))
+      .map((item) => item.topic);
+  }
+
+  return { rank, score, velocity };
+}
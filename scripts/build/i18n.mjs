@@ -0,0 +1,35 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const DEFAULT_LOCALE = "zh-CN";
+
+// Loads site/locales/<code>.json over the default catalog, so a translation
+// that lacks a message falls back to the Chinese text instead of failing.
+export async function loadCatalog(dir, code) {
+  const read = async (name) => {
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, `${name}.json`), "utf8"));
+    } catch (error) {
+      if (error?.code === "ENOENT") throw new Error(`Unknown locale "${name}": ${path.join(dir, `${name}.json`)} does not exist`);
+      throw error;
+    }
+  };
+  const base = await read(DEFAULT_LOCALE);
+  const messages = code === DEFAULT_LOCALE ? base : mergeMessages(base, await read(code));
+
+  function t(key, params = {}) {
+    const message = key.split(".").reduce((value, part) => value?.[part], messages);
+    if (typeof message !== "string") throw new Error(`Missing message "${key}" for locale ${code}`);
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  return { code, messages, t };
+}
+
+function mergeMessages(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override ?? {})) {
+    merged[key] = value && typeof value === "object" && typeof base?.[key] === "object" ? mergeMessages(base[key], value) : value;
+  }
+  return merged;
+}
@@ -0,0 +1,158 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { readJson, writeJsonAtomic } from "../lib/store.mjs";
+
+export function hashContent(...parts) {
+  const hash = createHash("sha1");
+  for (const part of parts) {
+    hash.update(typeof part === "string" || Buffer.isBuffer(part) ? part : JSON.stringify(part ?? null));
+    hash.update("\0");
+  }
+  return hash.digest("hex");
+}
+
+export async function templateFingerprint(sourceDirs, extra = []) {
+  const parts = [];
+  for (const dir of sourceDirs) {
+    for (const file of (await listFiles(dir)).sort()) {
+      parts.push(path.relative(dir, file), await fs.readFile(file));
+    }
+  }
+  return hashContent(...parts, ...extra);
+}
+
+// The manifest lives outside distDir, which is uploaded as the site as a whole.
+export async function loadBuildManifest(distDir, manifestFile, { templateVersion, full = false }) {
+  const previous = full ? null : await readJson(manifestFile, null);
+  if (!previous?.pages) {
+    await fs.rm(distDir, { recursive: true, force: true });
+    return { fresh: true, templateChanged: false, pages: {}, topics: {} };
+  }
+  const templateChanged = previous.template_version !== templateVersion;
+  return {
+    fresh: false,
+    templateChanged,
+    pages: previous.pages,
+    topics: templateChanged ? {} : (previous.topics ?? {})
+  };
+}
+
+// Pages are either keyed (skipped without rendering while the key and the file
+// on disk are unchanged) or always rendered and only rewritten when their
+// content hash differs. Anything the previous build wrote but this one did not
+// is deleted by prune().
+export function createPageWriter(distDir, manifestFile, previous, { templateVersion }) {
+  const pages = {};
+  const stats = { written: 0, unchanged: 0, skipped: 0, removed: 0 };
+  const canReuse = (rel) => !previous.templateChanged && Boolean(previous.pages[rel]);
+  const relative = (file) => path.relative(distDir, file).split(path.sep).join("/");
+
+  async function write(file, content, key = null) {
+    const rel = relative(file);
+    const hash = hashContent(content);
+    pages[rel] = key ? { key, hash } : { hash };
+    if (previous.pages[rel]?.hash === hash && (await exists(file))) {
+      stats.unchanged += 1;
+      return;
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+    stats.written += 1;
+  }
+
+  // For content-addressed files whose hash is already known, so they are not
+  // read back just to compare.
+  async function copy(file, source, hash) {
+    const rel = relative(file);
+    pages[rel] = { hash };
+    if (previous.pages[rel]?.hash === hash && (await exists(file))) {
+      stats.unchanged += 1;
+      return;
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.copyFile(source, file);
+    stats.written += 1;
+  }
+
+  async function render(file, key, renderFn) {
+    const rel = relative(file);
+    if (canReuse(rel) && previous.pages[rel].key === key && (await exists(file))) {
+      pages[rel] = previous.pages[rel];
+      stats.skipped += 1;
+      return false;
+    }
+    await write(file, await renderFn(), key);
+    return true;
+  }
+
+  // Keeps a group of keyed files (e.g. all pages of one thread) when every one
+  // of them is still current; otherwise the caller re-renders the group.
+  async function reuse(files, key) {
+    const rels = files.map(relative);
+    for (let i = 0; i < files.length; i += 1) {
+      if (!canReuse(rels[i]) || previous.pages[rels[i]].key !== key || !(await exists(files[i]))) return false;
+    }
+    for (const rel of rels) pages[rel] = previous.pages[rel];
+    stats.skipped += rels.length;
+    return true;
+  }
+
+  async function prune() {
+    for (const rel of Object.keys(previous.pages)) {
+      if (pages[rel]) continue;
+      const file = path.join(distDir, rel);
+      await fs.rm(file, { force: true });
+      await removeEmptyParents(path.dirname(file), distDir);
+      stats.removed += 1;
+    }
+  }
+
+  async function save(topics) {
+    await writeJsonAtomic(manifestFile, {
+      updated_at: new Date().toISOString(),
+      template_version: templateVersion,
+      topics,
+      pages
+    });
+  }
+
+  return { stats, write, copy, render, reuse, prune, save };
+}
+
+async function removeEmptyParents(dir, stopDir) {
+  let current = dir;
+  while (current.startsWith(stopDir) && current !== stopDir) {
+    try {
+      await fs.rmdir(current);
+    } catch {
+      return;
+    }
+    current = path.dirname(current);
+  }
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function listFiles(dir) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await listFiles(full)));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
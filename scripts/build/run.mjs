@@ -1,74 +1,289 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { extractImageUrls, normalizeAssetUrl } from "../lib/assets.mjs";
+import { loadContentFilter } from "../lib/filter.mjs";
+import { createDataStore, readJson } from "../lib/store.mjs";
+import { apiMember, apiNodePages, apiTopicFiles, apiTopicList } from "./api.mjs";
+import { diffLines } from "./diff.mjs";
+import { createHotRanker } from "./hot.mjs";
+import { DEFAULT_LOCALE, loadCatalog } from "./i18n.mjs";
+import { createPageWriter, hashContent, loadBuildManifest, templateFingerprint } from "./incremental.mjs";
+import { createSanitizer } from "./sanitize.mjs";
+import { createSearchIndex } from "./search.mjs";
+import { createTemplateEngine } from "./templates.mjs";
 
 const ROOT = process.cwd();
-const DATA_DIR = path.join(ROOT, "data");
+const BUILD_SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+// Shared modules the build imports, e.g. the filter, the asset helpers and the store.
+const LIB_SCRIPTS_DIR = path.join(BUILD_SCRIPTS_DIR, "..", "lib");
+const store = createDataStore();
+const DATA_DIR = store.dirs.root;
 const DIST_DIR = path.join(ROOT, "dist");
+const API_DIR = path.join(DIST_DIR, "api");
+const BUILD_MANIFEST_FILE = path.join(ROOT, ".cache", "build-manifest.json");
 const PAGE_SIZE = 30;
+const FEED_SIZE = 30;
+const REPLIES_PER_PAGE = 100;
+const SITEMAP_MAX_URLS = 50000;
+const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+const SITE_FEED_PATH = "/feed.xml";
+// Archive dates are UTC+8 days, matching the times shown everywhere else.
+const ARCHIVE_UTC_OFFSET = 8 * 60 * 60;
+const lastReplyAt = (topic) => Number(topic?.last_touched ?? topic?.last_modified ?? topic?.created ?? 0);
+// The first ordering is the node's default page at /nodes/<name>/.
+const NODE_ORDERS = [
+  { path: "", label: "node.order_latest", compare: (a, b) => lastReplyAt(b) - lastReplyAt(a) },
+  { path: "replies", label: "node.order_replies", compare: (a, b) => Number(b?.replies ?? 0) - Number(a?.replies ?? 0) || lastReplyAt(b) - lastReplyAt(a) },
+  { path: "created", label: "node.order_created", compare: (a, b) => Number(b?.created ?? 0) - Number(a?.created ?? 0) }
+];
+// /hot/ keeps the V2EX hot list first and fills up to HOT_LIST_LIMIT from the
+// ranking; each window ranks only the topics created within it.
+const HOT_LIST_LIMIT = 500;
+const HOT_WINDOWS = [
+  { path: "day", label: "hot.day", heading: "hot.heading_day", hours: 24 },
+  { path: "week", label: "hot.week", heading: "hot.heading_week", hours: 7 * 24 },
+  { path: "month", label: "hot.month", heading: "hot.heading_month", hours: 30 * 24 }
+];
+const HOT_RANKING = {
+  algorithm: process.env.HOT_RANKING || "gravity",
+  gravity: Number(process.env.HOT_GRAVITY ?? 1.8),
+  halfLifeHours: Number(process.env.HOT_HALF_LIFE_HOURS ?? 24),
+  ageOffsetHours: Number(process.env.HOT_AGE_OFFSET_HOURS ?? 2),
+  velocityHours: Number(process.env.HOT_VELOCITY_HOURS ?? 24),
+  velocityWeight: Number(process.env.HOT_VELOCITY_WEIGHT ?? 24)
+};
+const BUILD_FULL = process.env.BUILD_FULL === "true";
+const SEARCH_INDEX_REPLIES = process.env.SEARCH_INDEX_REPLIES === "true";
+const SEARCH_SHARD_COUNT = Math.max(1, Number(process.env.SEARCH_SHARD_COUNT ?? 64) || 64);
+// Templates missing from the selected theme fall back to the default theme.
+const SITE_THEME = process.env.SITE_THEME || "default";
+const THEME_DIRS = [...new Set([SITE_THEME, "default"])].map((theme) => path.join(ROOT, "site", "templates", theme));
+const LOCALES_DIR = path.join(ROOT, "site", "locales");
+const SITE_LOCALE = process.env.SITE_LOCALE || DEFAULT_LOCALE;
+// Extra locales are built side by side under /<code>/, e.g. SITE_ALT_LOCALES=en
+// adds /en/. Feeds, the API, the search index and sitemaps are only built once,
+// in the primary locale.
+const SITE_ALT_LOCALES = [...new Set((process.env.SITE_ALT_LOCALES ?? "").split(",").map((code) => code.trim()))].filter(
+  (code) => code && code !== SITE_LOCALE
+);
 
 const RAW_BASE_PATH = process.env.SITE_BASE_PATH ?? "";
 const BASE_PATH = normalizeBasePath(RAW_BASE_PATH);
 const DEFAULT_BASE_URL = BASE_PATH ? `https://example.com${BASE_PATH}` : "https://example.com";
 const SITE_BASE_URL = (process.env.SITE_BASE_URL ?? DEFAULT_BASE_URL).replace(/\/+$/, "");
+// Where <link rel="canonical"> points on pages that also exist on V2EX (topics,
+// nodes and members): "mirror" keeps it on this site, "origin" credits the
+// original V2EX page instead. Every other page is canonical to itself.
+const CANONICAL_TARGETS = ["mirror", "origin"];
+const SITE_CANONICAL = process.env.SITE_CANONICAL || "mirror";
+const V2EX_ORIGIN = "https://www.v2ex.com";
+const META_DESCRIPTION_LENGTH = 160;
+
+let pageWriter = null;
+let contentFilter = null;
+// Every locale being built, and the one whose pages are being rendered:
+// { code, t, messages, prefix, primary }.
+const locales = [];
+let locale = null;
+const sanitizer = createSanitizer();
+const templates = createTemplateEngine({ dirs: THEME_DIRS });
+const localAssets = new Map();
 
 async function main() {
-  const latest = await readJson(path.join(DATA_DIR, "index", "latest.json"), []);
-  const hot = await readJson(
-    path.join(DATA_DIR, "index", "hot_pool.json"),
-    await readJson(path.join(DATA_DIR, "index", "hot.json"), [])
-  );
-  const nodes = await readJson(path.join(DATA_DIR, "nodes", "all.json"), []);
+  contentFilter = await loadContentFilter();
+  // Filtered topics and nodes are dropped here, before anything is built from them.
+  const filtered = { topics: new Map(), nodes: 0 };
+  const hiddenIds = new Set();
+  const topicDocs = (await store.listTopicDocs()).filter((doc) => {
+    if (!doc?.topic?.id) return false;
+    const reason = contentFilter.topicReason(doc.topic);
+    if (!reason) return true;
+    hiddenIds.add(Number(doc.topic.id));
+    filtered.topics.set(reason, (filtered.topics.get(reason) ?? 0) + 1);
+    return false;
+  });
+  const listed = (items) =>
+    (Array.isArray(items) ? items : []).filter((item) => !hiddenIds.has(Number(item?.id)) && !contentFilter.topicReason(item));
+
+  const latest = listed(await readJson(path.join(DATA_DIR, "index", "latest.json"), []));
+  const hotSeed = listed(await readJson(path.join(DATA_DIR, "index", "hot.json"), []));
+  const hot = listed(await readJson(path.join(DATA_DIR, "index", "hot_pool.json"), hotSeed));
+  const storedNodes = await readJson(path.join(DATA_DIR, "nodes", "all.json"), []);
+  const nodes = storedNodes.filter((node) => !contentFilter.nodeFiltered(node?.name));
+  filtered.nodes = storedNodes.length - nodes.length;
   const state = await readJson(path.join(DATA_DIR, "meta", "state.json"), {});
+  const replySnapshots = await readJson(path.join(DATA_DIR, "index", "reply_snapshots.json"), {});
 
-  const topicDocs = await readTopicDocs(path.join(DATA_DIR, "topics"));
   const topicMap = new Map(topicDocs.map((doc) => [Number(doc?.topic?.id), doc.topic]));
+  const tombstones = new Map(
+    topicDocs.filter((doc) => doc?.meta?.tombstone).map((doc) => [Number(doc.topic.id), doc.meta.tombstone])
+  );
   const allTopics = [...topicMap.values()].sort(
     (a, b) => Number(b?.last_modified ?? b?.last_touched ?? b?.created ?? 0) - Number(a?.last_modified ?? a?.last_touched ?? a?.created ?? 0)
   );
-  const hotExpanded = buildExpandedHotList(hot, allTopics, topicMap);
+  // Ranked as of the last sync, so that rebuilding the same data gives the same lists.
+  const syncedAt = Date.parse(state?.last_success_at ?? "");
+  const hotRanker = createHotRanker({
+    ...HOT_RANKING,
+    snapshots: replySnapshots,
+    now: Math.floor((Number.isFinite(syncedAt) ? syncedAt : Date.now()) / 1000)
+  });
+  const hotExpanded = buildExpandedHotList(hot, hotRanker.rank(allTopics), topicMap);
+  const hotWindows = HOT_WINDOWS.map((window) => ({ ...window, items: hotRanker.rank(allTopics, { sinceHours: window.hours }).slice(0, HOT_LIST_LIMIT) }));
   const nodeBuckets = groupByNode(allTopics);
+  const archive = groupArchive(allTopics);
 
-  await fs.rm(DIST_DIR, { recursive: true, force: true });
-  await fs.mkdir(DIST_DIR, { recursive: true });
+  await fs.access(THEME_DIRS[0]).catch(() => {
+    throw new Error(`Unknown SITE_THEME "${SITE_THEME}": ${THEME_DIRS[0]} does not exist`);
+  });
+  await templates.load();
+  if (!CANONICAL_TARGETS.includes(SITE_CANONICAL)) {
+    throw new Error(`Unknown SITE_CANONICAL "${SITE_CANONICAL}": expected one of ${CANONICAL_TARGETS.join(", ")}`);
+  }
+  for (const code of [SITE_LOCALE, ...SITE_ALT_LOCALES]) {
+    const primary = locales.length === 0;
+    locales.push({ ...(await loadCatalog(LOCALES_DIR, code)), prefix: primary ? "" : `/${code.toLowerCase()}`, primary });
+  }
+  locale = locales[0];
+  const templateVersion = await templateFingerprint(
+    [BUILD_SCRIPTS_DIR, LIB_SCRIPTS_DIR, ...THEME_DIRS, LOCALES_DIR],
+    [BASE_PATH, SITE_BASE_URL, SITE_THEME, SITE_LOCALE, SITE_ALT_LOCALES.join(","), SITE_CANONICAL, JSON.stringify(contentFilter.policy)]
+  );
+  const previous = await loadBuildManifest(DIST_DIR, BUILD_MANIFEST_FILE, { templateVersion, full: BUILD_FULL });
+  pageWriter = createPageWriter(DIST_DIR, BUILD_MANIFEST_FILE, previous, { templateVersion });
+  const topicAssets = await loadLocalAssets();
+  const topicKeys = await computeTopicKeys(topicDocs, topicAssets);
 
   await copyStaticAssets();
-  await buildIndexPages({
-    title: "V2EX 镜像 - 最新",
-    basePath: "/",
-    items: latest,
-    topicMap,
-    heading: "最新帖子",
-    state
-  });
-  await buildIndexPages({
-    title: "V2EX 镜像 - 最热",
-    basePath: "/hot",
-    items: hotExpanded,
-    topicMap,
-    heading: "热门帖子",
-    state
-  });
-  await buildIndexPages({
-    title: "V2EX 镜像 - 所有",
-    basePath: "/all",
-    items: allTopics,
-    topicMap,
-    heading: "所有",
-    state
-  });
+  await copyLocalAssets();
+  await writeFile(path.join(API_DIR, "topics", "latest.json"), apiTopicList(latest, topicMap, tombstones));
+  await writeFile(path.join(API_DIR, "topics", "hot.json"), apiTopicList(hotSeed, topicMap, tombstones));
+  await writeFile(path.join(API_DIR, "nodes", "all.json"), JSON.stringify(nodes));
+
+  const searchIndex = createSearchIndex({ shardCount: SEARCH_SHARD_COUNT });
+  const memberDocs = await store.listMemberDocs();
+  let topicPages = null;
+  for (const variant of locales) {
+    locale = variant;
+    const { t } = locale;
+    await buildIndexPages({
+      title: siteTitle(t("nav.latest")),
+      basePath: "/",
+      items: latest,
+      topicMap,
+      heading: t("list.latest"),
+      feed: siteFeed(),
+      state
+    });
+    const hotTabs = [{ path: "/hot", label: t("hot.all") }, ...HOT_WINDOWS.map((window) => ({ path: `/hot/${window.path}`, label: t(window.label) }))];
+    await buildIndexPages({
+      title: siteTitle(t("nav.hot")),
+      basePath: "/hot",
+      items: hotExpanded,
+      topicMap,
+      heading: t("list.hot"),
+      feed: { title: t("feeds.hot"), path: "/hot/feed.xml" },
+      tabs: hotTabs,
+      state
+    });
+    for (const window of hotWindows) {
+      await buildIndexPages({
+        title: siteTitle(t(window.heading)),
+        basePath: `/hot/${window.path}`,
+        current: "/hot",
+        items: window.items,
+        topicMap,
+        heading: t(window.heading),
+        tabs: hotTabs,
+        state
+      });
+    }
+    await buildIndexPages({
+      title: siteTitle(t("nav.all")),
+      basePath: "/all",
+      items: allTopics,
+      topicMap,
+      heading: t("list.all"),
+      state
+    });
+
+    await buildArchivePages(archive, topicKeys);
+    await buildNodesPage(nodes, nodeBuckets, state);
+    await buildNodeTopicPages(nodes, nodeBuckets, topicKeys, tombstones);
+    const built = await buildTopicPages(topicMap, topicKeys, previous.topics, tombstones, searchIndex);
+    topicPages ??= built;
+    await buildMemberPages(topicMap, topicKeys, topicPages.manifestTopics, topicPages.renderedReplies, memberDocs);
+    await buildSearchPage(searchIndex, state);
+    await buildAboutPage(state, allTopics.length);
+  }
+  locale = locales[0];
+
+  const { manifestTopics } = topicPages;
+  const listSizes = {
+    "/": latest.length,
+    "/hot": hotExpanded.length,
+    ...Object.fromEntries(hotWindows.map((window) => [`/hot/${window.path}`, window.items.length])),
+    "/all": allTopics.length
+  };
+  await buildSitemaps({ topicMap, manifestTopics, nodes, nodeBuckets, archive, listSizes });
 
-  await buildNodesPage(nodes, nodeBuckets, state);
-  await buildNodeTopicPages(nodes, nodeBuckets, state);
-  await buildTopicPages(topicMap, state);
-  await buildAboutPage(state, allTopics.length);
-  await buildSitemap(topicMap);
+  await pageWriter.prune();
+  await pageWriter.save(manifestTopics);
 
+  const { written, unchanged, skipped, removed } = pageWriter.stats;
   console.log(
-    `Build done. latest=${latest.length} hot=${hotExpanded.length} all=${allTopics.length} nodes=${nodes.length} topics=${topicMap.size} basePath=${BASE_PATH || "/"}`
+    `Build done. latest=${latest.length} hot=${hotExpanded.length} all=${allTopics.length} nodes=${nodes.length} topics=${topicMap.size} storage=${store.backend} theme=${SITE_THEME} locales=${locales.map((item) => item.code).join(",")} basePath=${BASE_PATH || "/"}`
+  );
+  console.log(`Sanitized: ${sanitizer.summary()}`);
+  console.log(`Filtered: ${filterSummary(filtered, manifestTopics)}`);
+  console.log(
+    `Pages: ${previous.fresh ? "full" : previous.templateChanged ? "template changed" : "incremental"} written=${written} unchanged=${unchanged} skipped=${skipped} removed=${removed}`
   );
 }
 
-function buildExpandedHotList(hotSeed, allTopics, topicMap) {
+async function computeTopicKeys(topicDocs, topicAssets) {
+  const keys = new Map();
+  for (const doc of topicDocs) {
+    const id = Number(doc.topic.id);
+    keys.set(id, hashContent(doc, await store.repliesVersion(id), await store.revisionsVersion(id), topicAssets.get(id) ?? []));
+  }
+  return keys;
+}
+
+// Images saved by `npm run assets`; returns the asset hashes used by each
+// topic so pages are re-rendered once their images become available locally.
+async function loadLocalAssets() {
+  const index = await readJson(path.join(store.dirs.assets, "index.json"), null);
+  const topicAssets = new Map();
+  for (const [assetUrl, entry] of Object.entries(index?.assets ?? {})) {
+    if (!entry?.hash || !entry?.ext) continue;
+    localAssets.set(assetUrl, entry);
+    for (const topicId of entry.topic_ids ?? []) {
+      if (!topicAssets.has(topicId)) topicAssets.set(topicId, []);
+      topicAssets.get(topicId).push(entry.hash);
+    }
+  }
+  for (const hashes of topicAssets.values()) hashes.sort();
+  return topicAssets;
+}
+
+async function copyLocalAssets() {
+  const copied = new Set();
+  for (const entry of localAssets.values()) {
+    if (copied.has(entry.hash)) continue;
+    copied.add(entry.hash);
+    const source = path.join(store.dirs.assets, "files", entry.hash.slice(0, 2), `${entry.hash}.${entry.ext}`);
+    await pageWriter.copy(path.join(DIST_DIR, "media", `${entry.hash}.${entry.ext}`), source, entry.hash);
+  }
+}
+
+function localAssetPath(src) {
+  const entry = localAssets.get(normalizeAssetUrl(src));
+  return entry ? `/media/${entry.hash}.${entry.ext}` : null;
+}
+
+function buildExpandedHotList(hotSeed, ranked, topicMap) {
   const result = [];
   const seen = new Set();
 
@@ -79,72 +294,208 @@ function buildExpandedHotList(hotSeed, allTopics, topicMap) {
     seen.add(id);
   }
 
-  const ranked = [...(allTopics ?? [])].sort((a, b) => {
-    const replyDiff = Number(b?.replies ?? 0) - Number(a?.replies ?? 0);
-    if (replyDiff !== 0) return replyDiff;
-    const touchedA = Number(a?.last_touched ?? a?.last_modified ?? a?.created ?? 0);
-    const touchedB = Number(b?.last_touched ?? b?.last_modified ?? b?.created ?? 0);
-    return touchedB - touchedA;
-  });
-
   for (const topic of ranked) {
     const id = Number(topic?.id);
     if (!Number.isFinite(id) || id <= 0 || seen.has(id)) continue;
     result.push(topic);
     seen.add(id);
-    if (result.length >= 500) break;
+    if (result.length >= HOT_LIST_LIMIT) break;
   }
 
   return result;
 }
 
-async function buildIndexPages({ title, basePath, items, topicMap, heading, state }) {
+async function buildIndexPages({ title, basePath, current = basePath, items, topicMap, heading, feed = null, tabs = [], state }) {
   const pages = paginate(items, PAGE_SIZE);
+  if (feed && locale.primary) {
+    const topics = items.slice(0, FEED_SIZE).map((item) => topicMap.get(Number(item?.id ?? 0)) ?? item);
+    await writeFile(path.join(DIST_DIR, trimStartSlash(feed.path)), atomFeed({ ...feed, pagePath: normalizeSlash(basePath), topics, state }));
+  }
   for (let i = 0; i < pages.length; i += 1) {
     const pageNo = i + 1;
-    const rows = pages[i]
-      .map((item) => {
-        const id = Number(item?.id ?? 0);
-        const topic = topicMap.get(id) ?? item;
-        const replies = Number(topic?.replies ?? item?.replies ?? 0);
-        const node = topic?.node?.name
-          ? `<a href="${url(`/nodes/${escapeAttr(topic.node.name)}/`)}">${escapeHtml(topic.node.title ?? topic.node.name)}</a>`
-          : "-";
-        const author = escapeHtml(topic?.member?.username ?? "-");
-        return `<li class="topic-item">
-  <a class="topic-title" href="${url(`/t/${id}/`)}">${escapeHtml(topic?.title ?? "(无标题)")}</a>
-  <div class="meta">#${id} · ${node} · ${author} · 回复 ${replies}</div>
-</li>`;
-      })
-      .join("\n");
-
-    const pager = paginationHtml(basePath, pageNo, pages.length);
-    const html = layout({
-      pageTitle: `${title}${pages.length > 1 ? ` - 第 ${pageNo} 页` : ""}`,
-      body: `
-<h1>${escapeHtml(heading)}</h1>
-${siteNav(basePath)}
-<ul class="topic-list">
-${rows || '<li class="empty">暂无帖子</li>'}
-</ul>
-${pager}
-${syncInfo(state)}
-`
+    const topics = pages[i].map((item) => {
+      const id = Number(item?.id ?? 0);
+      const topic = topicMap.get(id) ?? item;
+      return {
+        id,
+        href: url(`/t/${id}/`),
+        title: topic?.title ?? locale.t("site.untitled"),
+        node: topic?.node?.name ? { href: url(`/nodes/${topic.node.name}/`), title: topic.node.title ?? topic.node.name } : null,
+        member: memberView(topic?.member?.username),
+        replies: locale.t("list.replies", { count: Number(topic?.replies ?? item?.replies ?? 0) })
+      };
+    });
+
+    const html = renderPage("list", {
+      pageTitle: `${title}${pageSuffix(pageNo, pages.length)}`,
+      feeds: feed && feed.path !== SITE_FEED_PATH ? [feed] : [],
+      current,
+      state,
+      meta: { path: pagePath(basePath, pageNo), description: listDescription(heading, topics) },
+      heading,
+      tabs: tabs.map((tab) => ({ href: url(normalizeSlash(tab.path)), label: tab.label, active: tab.path === basePath })),
+      topics,
+      pager: pagerView(basePath, pageNo, pages.length)
     });
 
     const outDir =
       basePath === "/"
         ? pageNo === 1
-          ? DIST_DIR
-          : path.join(DIST_DIR, "page", String(pageNo))
+          ? localeDir()
+          : path.join(localeDir(), "page", String(pageNo))
         : pageNo === 1
-          ? path.join(DIST_DIR, trimStartSlash(basePath))
-          : path.join(DIST_DIR, trimStartSlash(basePath), "page", String(pageNo));
+          ? path.join(localeDir(), trimStartSlash(basePath))
+          : path.join(localeDir(), trimStartSlash(basePath), "page", String(pageNo));
 
     await writeFile(path.join(outDir, "index.html"), html);
   }
 }
 
+// Topics by the day they were posted: years newest first, each with its months
+// and days in calendar order. Topics without a creation time are left out.
+function groupArchive(topics) {
+  const years = new Map();
+  const dated = topics
+    .filter((topic) => Number(topic?.created) > 0)
+    .sort((a, b) => Number(a.created) - Number(b.created) || Number(a.id) - Number(b.id));
+  for (const topic of dated) {
+    const date = new Date((Number(topic.created) + ARCHIVE_UTC_OFFSET) * 1000);
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+    if (!years.has(year)) years.set(year, { year, topics: [], months: new Map() });
+    const yearGroup = years.get(year);
+    if (!yearGroup.months.has(month)) yearGroup.months.set(month, { year, month, topics: [], days: new Map() });
+    const monthGroup = yearGroup.months.get(month);
+    if (!monthGroup.days.has(day)) monthGroup.days.set(day, { year, month, day, topics: [] });
+    yearGroup.topics.push(topic);
+    monthGroup.topics.push(topic);
+    monthGroup.days.get(day).topics.push(topic);
+  }
+  return [...years.values()]
+    .sort((a, b) => b.year - a.year)
+    .map((yearGroup) => ({ ...yearGroup, months: [...yearGroup.months.values()].map((monthGroup) => ({ ...monthGroup, days: [...monthGroup.days.values()] })) }));
+}
+
+async function buildArchivePages(archive, topicKeys) {
+  const total = archive.reduce((sum, year) => sum + year.topics.length, 0);
+  const indexKey = hashContent(archive.map((year) => year.months.map((month) => [month.year, month.month, month.days.map((day) => [day.day, day.topics.length])])));
+  await pageWriter.render(path.join(localeDir(), "archive", "index.html"), indexKey, () =>
+    renderPage("archive", {
+      pageTitle: siteTitle(locale.t("nav.archive")),
+      current: "/archive",
+      meta: { path: "/archive/", description: locale.t("archive.intro", { count: total }) },
+      intro: locale.t("archive.intro", { count: total }),
+      weekdays: weekdayLabels(),
+      years: archive.map((year) => ({
+        label: archiveLabel(year),
+        href: url(archivePath(year)),
+        count: locale.t("archive.count", { count: year.topics.length }),
+        months: year.months.map(calendarView)
+      }))
+    })
+  );
+
+  // Previous and next links step to the nearest year, month or day with topics.
+  const years = [...archive].reverse();
+  const months = years.flatMap((year) => year.months);
+  const days = months.flatMap((month) => month.days);
+  for (const periods of [years, months, days]) {
+    for (let i = 0; i < periods.length; i += 1) {
+      const period = periods[i];
+      const siblings = { prev: periods[i - 1] ?? null, next: periods[i + 1] ?? null };
+      const key = hashContent(
+        archivePath(period),
+        period.topics.map((topic) => [topic.id, topicKeys.get(Number(topic.id))]),
+        siblings.prev && archivePath(siblings.prev),
+        siblings.next && archivePath(siblings.next)
+      );
+      const pages = paginate(period.topics, PAGE_SIZE);
+      for (let j = 0; j < pages.length; j += 1) {
+        const pageNo = j + 1;
+        await pageWriter.render(path.join(localeDir(), trimStartSlash(pagePath(archivePath(period), pageNo)), "index.html"), key, () =>
+          renderArchivePeriodPage({ period, siblings, topics: pages[j], pageNo, totalPages: pages.length })
+        );
+      }
+    }
+  }
+}
+
+function renderArchivePeriodPage({ period, siblings, topics, pageNo, totalPages }) {
+  const label = archiveLabel(period);
+  const heading = locale.t("archive.period", { label });
+  const crumbs = [{ href: url("/archive/"), label: locale.t("nav.archive") }];
+  if (period.month) crumbs.push({ href: url(archivePath({ year: period.year })), label: archiveLabel({ year: period.year }) });
+  if (period.day) crumbs.push({ href: url(archivePath({ year: period.year, month: period.month })), label: archiveLabel({ year: period.year, month: period.month }) });
+  const sibling = (item) => (item ? { href: url(archivePath(item)), label: archiveLabel(item) } : null);
+  const views = topics.map((topic) => ({
+    id: topic.id,
+    href: url(`/t/${topic.id}/`),
+    title: topic.title ?? locale.t("site.untitled"),
+    node: topic.node?.name ? { href: url(`/nodes/${topic.node.name}/`), title: topic.node.title ?? topic.node.name } : null,
+    member: memberView(topic.member?.username),
+    replies: locale.t("list.replies", { count: Number(topic.replies ?? 0) }),
+    created: locale.t("archive.created", { time: formatUnixUtc8(topic.created) })
+  }));
+  // Year pages show the calendar of each month and month pages their own.
+  const calendars = pageNo === 1 ? (period.months ?? (period.day ? [] : [period])) : [];
+
+  return renderPage("archive-period", {
+    pageTitle: `${siteTitle(heading)}${pageSuffix(pageNo, totalPages)}`,
+    current: "/archive",
+    meta: { path: pagePath(archivePath(period), pageNo), description: listDescription(heading, views) },
+    heading,
+    label,
+    count: locale.t("archive.count", { count: period.topics.length }),
+    crumbs,
+    weekdays: weekdayLabels(),
+    calendars: calendars.map(calendarView),
+    topics: views,
+    pager: pagerView(archivePath(period), pageNo, totalPages),
+    prev: sibling(siblings.prev),
+    next: sibling(siblings.next)
+  });
+}
+
+// A month as weeks from Monday to Sunday; days with topics link to their page.
+function calendarView(month) {
+  const counts = new Map(month.days.map((day) => [day.day, day.topics.length]));
+  const blank = { day: null, href: null, count: null, title: null };
+  const cells = Array.from({ length: (new Date(Date.UTC(month.year, month.month - 1, 1)).getUTCDay() + 6) % 7 }, () => blank);
+  const length = new Date(Date.UTC(month.year, month.month, 0)).getUTCDate();
+  for (let day = 1; day <= length; day += 1) {
+    const count = counts.get(day) ?? 0;
+    cells.push(
+      count
+        ? { day, href: url(archivePath({ year: month.year, month: month.month, day })), count, title: locale.t("archive.count", { count }) }
+        : { ...blank, day }
+    );
+  }
+  while (cells.length % 7) cells.push(blank);
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push({ days: cells.slice(i, i + 7) });
+  return {
+    label: archiveLabel(month),
+    href: url(archivePath(month)),
+    count: locale.t("archive.count", { count: month.topics.length }),
+    weeks
+  };
+}
+
+function weekdayLabels() {
+  const format = new Intl.DateTimeFormat(locale.code, { weekday: "narrow", timeZone: "UTC" });
+  // 2024-01-01 was a Monday.
+  return Array.from({ length: 7 }, (_, i) => format.format(Date.UTC(2024, 0, 1 + i)));
+}
+
+function archiveLabel({ year, month, day }) {
+  const options = day ? { dateStyle: "long" } : month ? { year: "numeric", month: "long" } : { year: "numeric" };
+  return new Intl.DateTimeFormat(locale.code, { ...options, timeZone: "UTC" }).format(Date.UTC(year, (month ?? 1) - 1, day ?? 1));
+}
+
+function archivePath({ year, month, day }) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `/${["archive", year, month && pad(month), day && pad(day)].filter(Boolean).join("/")}/`;
+}
+
 async function buildNodesPage(nodes, nodeBuckets, state) {
   const sortedNodes = [...nodes].sort((a, b) => {
     const countA = nodeBuckets.get(a?.name)?.length ?? 0;
@@ -153,124 +504,654 @@ async function buildNodesPage(nodes, nodeBuckets, state) {
     return String(a?.name ?? "").localeCompare(String(b?.name ?? ""));
   });
 
-  const rows = sortedNodes
-    .map((node) => {
-      const count = nodeBuckets.get(node.name)?.length ?? 0;
-      return `<li class="node-item">
-  <a href="${url(`/nodes/${escapeAttr(node.name)}/`)}">${escapeHtml(node.title ?? node.name)}</a>
-  <span class="meta">${escapeHtml(node.name)} · 本地镜像帖子 ${count}</span>
-</li>`;
-    })
-    .join("\n");
-
-  const html = layout({
-    pageTitle: "V2EX 镜像 - 节点",
-    body: `
-<h1>节点列表</h1>
-${siteNav("/nodes")}
-<ul class="node-list">
-${rows || '<li class="empty">暂无节点</li>'}
-</ul>
-${syncInfo(state)}
-`
+  const html = renderPage("nodes", {
+    pageTitle: siteTitle(locale.t("nav.nodes")),
+    current: "/nodes",
+    state,
+    meta: { path: "/nodes/", description: locale.t("meta.nodes", { count: nodes.length }) },
+    nodes: sortedNodes.map((node) => ({
+      href: url(`/nodes/${node.name}/`),
+      title: node.title ?? node.name,
+      name: node.name,
+      count: locale.t("nodes.count", { count: nodeBuckets.get(node.name)?.length ?? 0 })
+    }))
   });
-  await writeFile(path.join(DIST_DIR, "nodes", "index.html"), html);
+  await writeFile(path.join(localeDir(), "nodes", "index.html"), html);
 }
 
-async function buildNodeTopicPages(nodes, nodeBuckets, state) {
+async function buildNodeTopicPages(nodes, nodeBuckets, topicKeys, tombstones) {
   for (const node of nodes) {
-    const topics = (nodeBuckets.get(node.name) ?? []).sort(
-      (a, b) => Number(b.last_modified ?? b.last_touched ?? 0) - Number(a.last_modified ?? a.last_touched ?? 0)
+    const bucket = nodeBuckets.get(node.name) ?? [];
+    const key = hashContent(node, bucket.map((topic) => [topic.id, topicKeys.get(Number(topic.id))]));
+    const feed = { title: locale.t("feeds.node", { title: node.title ?? node.name }), path: `/nodes/${node.name}/feed.xml` };
+
+    for (const order of NODE_ORDERS) {
+      const basePath = `/nodes/${node.name}${order.path ? `/${order.path}` : ""}`;
+      const sorted = [...bucket].sort(order.compare);
+      const pages = paginate(sorted, PAGE_SIZE);
+      for (let i = 0; i < pages.length; i += 1) {
+        const pageNo = i + 1;
+        const outDir = pageNo === 1 ? path.join(localeDir(), trimStartSlash(basePath)) : path.join(localeDir(), trimStartSlash(basePath), "page", String(pageNo));
+        await pageWriter.render(path.join(outDir, "index.html"), key, () =>
+          renderNodeTopicPage({ node, order, topics: pages[i], pageNo, totalPages: pages.length, basePath, feed })
+        );
+      }
+      if (order === NODE_ORDERS[0] && locale.primary) {
+        await pageWriter.render(path.join(DIST_DIR, "nodes", node.name, "feed.xml"), key, () =>
+          atomFeed({ ...feed, pagePath: `/nodes/${node.name}/`, topics: sorted.slice(0, FEED_SIZE) })
+        );
+        const apiPages = apiNodePages(sorted.filter((topic) => !tombstones.has(Number(topic.id))));
+        for (let i = 0; i < apiPages.length; i += 1) {
+          await pageWriter.write(path.join(API_DIR, "nodes", node.name, "topics", `${i + 1}.json`), apiPages[i], key);
+        }
+      }
+    }
+  }
+}
+
+function renderNodeTopicPage({ node, order, topics, pageNo, totalPages, basePath, feed }) {
+  const heading = locale.t("node.heading", { title: node.title ?? node.name });
+  const views = topics.map((topic) => ({
+    id: topic.id,
+    href: url(`/t/${topic.id}/`),
+    title: topic.title ?? locale.t("site.untitled"),
+    member: memberView(topic.member?.username),
+    replies: locale.t("list.replies", { count: Number(topic.replies ?? 0) }),
+    created: order.path === "created" ? locale.t("node.created", { time: formatUnixUtc8(topic.created) }) : null
+  }));
+  return renderPage("node", {
+    pageTitle: `${siteTitle(node.title ?? node.name)}${order === NODE_ORDERS[0] ? "" : ` - ${locale.t(order.label)}`}${pageSuffix(pageNo, totalPages)}`,
+    feeds: [feed],
+    current: `/nodes/${node.name}`,
+    // V2EX pages its nodes differently, so only the first page has a counterpart there.
+    meta: {
+      path: pagePath(basePath, pageNo),
+      origin: order === NODE_ORDERS[0] && pageNo === 1 ? `${V2EX_ORIGIN}/go/${encodeURIComponent(node.name)}` : null,
+      description: (pageNo === 1 && stripTags(node.header ?? "")) || listDescription(heading, views)
+    },
+    heading,
+    tabs: NODE_ORDERS.map((item) => ({
+      href: url(`/nodes/${node.name}/${item.path ? `${item.path}/` : ""}`),
+      label: locale.t(item.label),
+      active: item === order
+    })),
+    topics: views,
+    pager: pagerView(basePath, pageNo, totalPages)
+  });
+}
+
+async function buildTopicPages(topicMap, topicKeys, previousTopics, tombstones, searchIndex) {
+  const manifestTopics = {};
+  const renderedReplies = new Map();
+  for (const [id, topic] of topicMap.entries()) {
+    const key = topicKeys.get(id);
+    const known = previousTopics[id];
+    let entry = { key, members: known?.members ?? topicParticipants(topic, []), pages: known?.pages ?? 1, hidden: known?.hidden ?? 0 };
+
+    // Tombstoned topics get no API files so that downstream mirrors see them gone.
+    const apiFiles = !locale.primary || tombstones.has(id) ? [] : apiTopicFiles(API_DIR, id);
+
+    if (!(known?.key === key && (await pageWriter.reuse([...topicPageFiles(id, entry.pages), ...apiFiles], key)))) {
+      const repliesDoc = (await store.readRepliesDoc(id)) ?? { replies: [] };
+      const replies = sortReplies(repliesDoc.replies);
+      renderedReplies.set(id, replies);
+      const pages = paginate(replies, REPLIES_PER_PAGE);
+      const files = topicPageFiles(id, pages.length);
+      const revisionsDoc = await store.readRevisionsDoc(id);
+      for (let i = 0; i < pages.length; i += 1) {
+        const html = renderTopicPage({ id, topic, repliesDoc, replies, pageNo: i + 1, totalPages: pages.length, revisionsDoc, tombstones });
+        await pageWriter.write(files[i], html, key);
+      }
+      const shown = replies.filter(replyShown);
+      if (apiFiles.length) {
+        // The published count leaves out hidden replies, so that a mirror syncing
+        // from here does not take the replies file for incomplete every run.
+        const published = { ...topic, replies: Math.max(0, Number(topic.replies ?? 0) - (replies.length - shown.length)) };
+        await pageWriter.write(apiFiles[0], JSON.stringify([published]), key);
+        await pageWriter.write(apiFiles[1], JSON.stringify(shown), key);
+      }
+      entry = { key, members: topicParticipants(topic, shown), pages: pages.length, hidden: replies.length - shown.length };
+    }
+    manifestTopics[id] = entry;
+    if (!locale.primary) continue;
+
+    const replies = SEARCH_INDEX_REPLIES ? (renderedReplies.get(id) ?? (await store.readRepliesDoc(id))?.replies ?? []) : [];
+    searchIndex.add(topic, {
+      text: revisionText(topic),
+      replyTexts: replies.filter(replyShown).map((reply) => reply?.content || stripTags(reply?.content_rendered ?? ""))
+    });
+  }
+  return { manifestTopics, renderedReplies };
+}
+
+function renderTopicPage({ id, topic, repliesDoc, replies, pageNo, totalPages, revisionsDoc, tombstones }) {
+  const totalCount = Number(repliesDoc?.meta?.total_count ?? topic?.replies ?? replies.length);
+  const fetchedCount = Number(repliesDoc?.meta?.fetched_count ?? replies.length);
+  const firstFloor = (pageNo - 1) * REPLIES_PER_PAGE + 1;
+  const floorHref = (floor) => (floorPage(floor) === pageNo ? `#r${floor}` : replyHref(id, floor));
+  const nodeName = topic.node?.name ?? "";
+  const originalHref = `${topic.url ?? `${V2EX_ORIGIN}/t/${id}`}${pageNo > 1 ? `?p=${pageNo}` : ""}`;
+  // Hidden replies keep their floor, so numbering and #n links match V2EX.
+  const pageReplies = replies
+    .slice(firstFloor - 1, firstFloor - 1 + REPLIES_PER_PAGE)
+    .map((reply, i) => ({ reply, floor: firstFloor + i }))
+    .filter(({ reply }) => replyShown(reply));
+  const title = topic.title ?? locale.t("site.untitled");
+  const description = excerpt(topic.content || stripTags(topic.content_rendered ?? ""), META_DESCRIPTION_LENGTH) || title;
+
+  return renderPage("topic", {
+    pageTitle: `${siteTitle(topic.title ?? id)}${pageSuffix(pageNo, totalPages)}`,
+    current: `/t/${id}`,
+    meta: {
+      path: topicPagePath(id, pageNo),
+      origin: originalHref,
+      description,
+      openGraph: {
+        type: "article",
+        title,
+        image: topicImage(topic),
+        properties: {
+          "article:published_time": isoTime(topic.created),
+          "article:modified_time": isoTime(topic.last_modified),
+          "article:section": topic.node?.title ?? nodeName
+        }
+      },
+      jsonLd: discussionPosting({ id, topic, title, originalHref, totalCount, pageNo, pageReplies })
+    },
+    topic: {
+      id,
+      title: topic.title ?? locale.t("site.untitled"),
+      href: url(`/t/${id}/`),
+      node: { href: url(`/nodes/${nodeName}/`), title: (topic.node?.title ?? nodeName) || "-" },
+      replies: locale.t("list.replies", { count: Number(topic.replies ?? 0) }),
+      originalHref,
+      content: pageNo === 1 ? richContent(topic) : ""
+    },
+    member: memberView(topic.member?.username),
+    tombstone: tombstoneView(tombstones.get(id)),
+    firstPage: pageNo === 1,
+    revisions: pageNo === 1 ? revisionsView(topic, revisionsDoc) : null,
+    repliesStatus:
+      fetchedCount < totalCount
+        ? locale.t("topic.partial", { fetched: fetchedCount, total: totalCount })
+        : locale.t("topic.fetched", { count: fetchedCount }),
+    emptyReplies: totalCount > 0 ? locale.t("topic.partial", { fetched: fetchedCount, total: totalCount }) : locale.t("topic.no_replies"),
+    pager: pagerView(`/t/${id}`, pageNo, totalPages, "p"),
+    replies: pageReplies.map(({ reply, floor }) => ({
+      floor,
+      member: memberView(reply.member?.username),
+      time: formatUnixUtc8(reply.created),
+      thanks: Number(reply.thanks ?? 0),
+      content: linkFloorReferences(richContent(reply), floorHref, replies.length)
+    }))
+  });
+}
+
+// schema.org markup for the thread, with the replies shown on this page as its
+// comments. The posting itself always points at the first page.
+function discussionPosting({ id, topic, title, originalHref, totalCount, pageNo, pageReplies }) {
+  const person = (username) => (username ? { "@type": "Person", name: username, url: pageUrl(memberPath(username)) } : undefined);
+  return {
+    "@context": "https://schema.org",
+    "@type": "DiscussionForumPosting",
+    url: pageUrl(topicPagePath(id, 1)),
+    sameAs: topic.url ?? `${V2EX_ORIGIN}/t/${id}`,
+    headline: title,
+    text: revisionText(topic),
+    datePublished: isoTime(topic.created),
+    dateModified: isoTime(topic.last_modified),
+    author: person(topic.member?.username),
+    articleSection: topic.node?.title ?? topic.node?.name,
+    interactionStatistic: { "@type": "InteractionCounter", interactionType: "https://schema.org/CommentAction", userInteractionCount: totalCount },
+    comment: pageReplies.map(({ reply, floor }) => ({
+      "@type": "Comment",
+      url: `${pageUrl(topicPagePath(id, pageNo))}#r${floor}`,
+      text: reply.content || stripTags(reply.content_rendered ?? ""),
+      datePublished: isoTime(reply.created),
+      author: person(reply.member?.username),
+      interactionStatistic: { "@type": "InteractionCounter", interactionType: "https://schema.org/LikeAction", userInteractionCount: Number(reply.thanks ?? 0) }
+    }))
+  };
+}
+
+// The first image of the topic that has been saved locally, for link previews.
+function topicImage(topic) {
+  for (const src of extractImageUrls(topic.content_rendered)) {
+    const local = localAssetPath(src);
+    if (local) return absoluteUrl(local);
+  }
+  return null;
+}
+
+function replyShown(reply) {
+  return !contentFilter.replyReason(reply);
+}
+
+function filterSummary(filtered, manifestTopics) {
+  if (!contentFilter.active) return "no policy";
+  const topics = [...filtered.topics.values()].reduce((sum, count) => sum + count, 0);
+  const replies = Object.values(manifestTopics).reduce((sum, entry) => sum + Number(entry.hidden ?? 0), 0);
+  const reasons = [...filtered.topics.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([reason, count]) => `${reason}=${count}`)
+    .join(" ");
+  return `topics=${topics} replies=${replies} nodes=${filtered.nodes}${reasons ? ` by: ${reasons}` : ""} (${contentFilter.source})`;
+}
+
+function sortReplies(replies) {
+  return (Array.isArray(replies) ? [...replies] : []).sort(
+    (a, b) => Number(a?.created ?? 0) - Number(b?.created ?? 0) || Number(a?.id ?? 0) - Number(b?.id ?? 0)
+  );
+}
+
+function floorPage(floor) {
+  return Math.max(1, Math.ceil(floor / REPLIES_PER_PAGE));
+}
+
+function topicPagePath(id, pageNo) {
+  return pageNo === 1 ? `/t/${id}/` : `/t/${id}/p/${pageNo}/`;
+}
+
+function topicPageFiles(id, totalPages) {
+  return Array.from({ length: Math.max(1, totalPages) }, (_, i) => path.join(localeDir(), trimStartSlash(topicPagePath(id, i + 1)), "index.html"));
+}
+
+function replyHref(id, floor) {
+  return `${url(topicPagePath(id, floorPage(floor)))}#r${floor}`;
+}
+
+// Turns "#12" in reply text into a link to floor 12, leaving tag attributes,
+// entities like "&#12;" and existing links untouched.
+function linkFloorReferences(html, floorHref, maxFloor) {
+  let linkDepth = 0;
+  return html
+    .split(/(<[^>]*>)/)
+    .map((part) => {
+      if (part.startsWith("<")) {
+        if (/^<a[\s>]/i.test(part)) linkDepth += 1;
+        else if (/^<\/a>/i.test(part)) linkDepth = Math.max(0, linkDepth - 1);
+        return part;
+      }
+      if (linkDepth > 0) return part;
+      return part.replace(/(^|[^&\w#])#(\d{1,5})(?!\d|;)/g, (match, lead, digits) => {
+        const floor = Number(digits);
+        return floor >= 1 && floor <= maxFloor ? `${lead}<a class="floor-ref" href="${escapeAttr(floorHref(floor))}">#${floor}</a>` : match;
+      });
+    })
+    .join("");
+}
+
+function topicParticipants(topic, replies) {
+  const seen = new Map();
+  for (const username of [topic?.member?.username, ...replies.map((reply) => reply?.member?.username)]) {
+    if (username && !seen.has(String(username).toLowerCase())) seen.set(String(username).toLowerCase(), username);
+  }
+  return [...seen.values()];
+}
+
+async function buildMemberPages(topicMap, topicKeys, manifestTopics, renderedReplies, memberDocs) {
+  const docsByKey = new Map(memberDocs.filter((doc) => doc?.member?.username).map((doc) => [doc.member.username.toLowerCase(), doc]));
+  const participants = new Map();
+  for (const [id, entry] of Object.entries(manifestTopics)) {
+    for (const username of entry.members) {
+      const key = String(username).toLowerCase();
+      if (!participants.has(key)) participants.set(key, { username, topicIds: [] });
+      participants.get(key).topicIds.push(Number(id));
+    }
+  }
+
+  for (const [key, member] of participants.entries()) {
+    const doc = docsByKey.get(key);
+    const username = doc?.profile?.username ?? doc?.member?.username ?? member.username;
+    const pageKey = hashContent(doc ?? null, member.topicIds.map((id) => [id, topicKeys.get(id)]));
+    const authored = member.topicIds
+      .map((id) => topicMap.get(id))
+      .filter((topic) => String(topic?.member?.username ?? "").toLowerCase() === key)
+      .sort((a, b) => Number(b?.created ?? 0) - Number(a?.created ?? 0));
+    const feed = authored.length ? { title: locale.t("feeds.member", { username }), path: `${memberPath(username)}feed.xml` } : null;
+    await pageWriter.render(path.join(localeDir(), "member", memberSlug(username), "index.html"), pageKey, async () =>
+      renderMemberPage(doc, await collectMemberActivity(key, member, topicMap, renderedReplies), feed)
     );
-    const rows = topics
-      .map(
-        (topic) => `<li class="topic-item">
-  <a class="topic-title" href="${url(`/t/${topic.id}/`)}">${escapeHtml(topic.title ?? "(无标题)")}</a>
-  <div class="meta">#${topic.id} · ${escapeHtml(topic.member?.username ?? "-")} · 回复 ${Number(topic.replies ?? 0)}</div>
-</li>`
-      )
-      .join("\n");
-
-    const html = layout({
-      pageTitle: `V2EX 镜像 - ${node.title ?? node.name}`,
-      body: `
-<h1>节点: ${escapeHtml(node.title ?? node.name)}</h1>
-${siteNav(`/nodes/${node.name}`)}
-<ul class="topic-list">
-${rows || '<li class="empty">当前镜像中暂无该节点帖子</li>'}
-</ul>
-${syncInfo(state)}
-`
+    if (!locale.primary) continue;
+    if (feed) {
+      await pageWriter.render(path.join(DIST_DIR, "member", memberSlug(username), "feed.xml"), pageKey, () =>
+        atomFeed({ ...feed, pagePath: memberPath(username), topics: authored.slice(0, FEED_SIZE) })
+      );
+    }
+    const profile = apiMember(doc);
+    if (profile) await pageWriter.write(path.join(API_DIR, "members", `${memberSlug(username)}.json`), profile, pageKey);
+  }
+}
+
+async function collectMemberActivity(key, member, topicMap, renderedReplies) {
+  const activity = { username: member.username, topics: [], replies: [] };
+  const isMember = (username) => String(username ?? "").toLowerCase() === key;
+  for (const id of member.topicIds) {
+    const topic = topicMap.get(id);
+    if (!topic) continue;
+    if (isMember(topic.member?.username)) activity.topics.push(topic);
+    const replies = renderedReplies.get(id) ?? sortReplies((await store.readRepliesDoc(id))?.replies);
+    replies.forEach((reply, i) => {
+      if (isMember(reply?.member?.username) && replyShown(reply)) activity.replies.push({ topic, reply, floor: i + 1 });
     });
-    await writeFile(path.join(DIST_DIR, "nodes", node.name, "index.html"), html);
   }
+  return activity;
 }
 
-async function buildTopicPages(topicMap, state) {
-  const repliesDir = path.join(DATA_DIR, "replies");
-  for (const [id, topic] of topicMap.entries()) {
-    const repliesDoc = await readJson(path.join(repliesDir, `${id}.json`), { replies: [] });
-    const replies = Array.isArray(repliesDoc.replies) ? repliesDoc.replies : [];
-    const totalCount = Number(repliesDoc?.meta?.total_count ?? topic?.replies ?? replies.length);
-    const fetchedCount = Number(repliesDoc?.meta?.fetched_count ?? replies.length);
-    const isPartial = fetchedCount < totalCount;
-    const replyRows = replies
-      .map(
-        (reply) => `<li class="reply-item">
-  <div class="meta">#${reply.id} · ${escapeHtml(reply.member?.username ?? "-")}</div>
-  <article class="content">${reply.content_rendered ?? `<p>${escapeHtml(reply.content ?? "")}</p>`}</article>
-</li>`
-      )
-      .join("\n");
-
-    const nodeName = topic.node?.name ?? "";
-    const html = layout({
-      pageTitle: `V2EX 镜像 - ${topic.title ?? id}`,
-      body: `
-<h1>${escapeHtml(topic.title ?? "(无标题)")}</h1>
-${siteNav(`/t/${id}`)}
-<div class="meta-line">
-  <span>#${id}</span>
-  <span>作者 ${escapeHtml(topic.member?.username ?? "-")}</span>
-  <span>节点 <a href="${url(`/nodes/${escapeAttr(nodeName)}/`)}">${escapeHtml((topic.node?.title ?? nodeName) || "-")}</a></span>
-  <span>回复 ${Number(topic.replies ?? 0)}</span>
-  <a href="${escapeAttr(topic.url ?? `https://www.v2ex.com/t/${id}`)}" target="_blank" rel="noopener noreferrer">原帖</a>
-</div>
-<article class="content">${topic.content_rendered ?? `<p>${escapeHtml(topic.content ?? "")}</p>`}</article>
-<h2>回复</h2>
-<div class="meta">${isPartial ? `回复未完整抓取（已抓取 ${fetchedCount} / 总 ${totalCount}）` : `已抓取回复 ${fetchedCount}`}</div>
-<ul class="reply-list">
-${replyRows || (totalCount > 0 ? `<li class="empty">回复未完整抓取（已抓取 ${fetchedCount} / 总 ${totalCount}）</li>` : '<li class="empty">暂无回复</li>')}
-</ul>
-${syncInfo(state)}
-`
+function renderMemberPage(doc, activity, feed) {
+  const profile = { ...(doc?.member ?? {}), ...(doc?.profile ?? {}) };
+  const username = profile.username ?? activity.username;
+  const topics = [...activity.topics].sort((a, b) => Number(b?.created ?? 0) - Number(a?.created ?? 0));
+  const replies = [...activity.replies].sort((a, b) => Number(b.reply?.created ?? 0) - Number(a.reply?.created ?? 0));
+
+  return renderPage("member", {
+    pageTitle: siteTitle(username),
+    feeds: feed ? [feed] : [],
+    current: `/member/${encodeURIComponent(memberSlug(username))}`,
+    meta: {
+      path: memberPath(username),
+      origin: `${V2EX_ORIGIN}/member/${encodeURIComponent(username)}`,
+      description: profile.bio || locale.t("meta.member", { username })
+    },
+    profile: {
+      username,
+      tagline: profile.tagline ?? "",
+      joined: profile.created ? locale.t("member.joined", { time: formatUnixUtc8(profile.created) }) : "",
+      location: profile.location ?? "",
+      website: profile.website ? { href: safeHttpUrl(profile.website), text: profile.website } : null,
+      bio: profile.bio ?? "",
+      v2exHref: `${V2EX_ORIGIN}/member/${encodeURIComponent(username)}`
+    },
+    stats: locale.t("member.stats", { topics: topics.length, replies: replies.length }),
+    topics: topics.map((topic) => ({
+      id: topic.id,
+      href: url(`/t/${topic.id}/`),
+      title: topic.title ?? locale.t("site.untitled"),
+      nodeTitle: topic.node?.title ?? topic.node?.name ?? "-",
+      replies: locale.t("list.replies", { count: Number(topic.replies ?? 0) })
+    })),
+    replies: replies.map(({ topic, reply, floor }) => ({
+      href: replyHref(topic.id, floor),
+      topicTitle: topic.title ?? locale.t("site.untitled"),
+      time: formatUnixUtc8(reply.created),
+      excerpt: excerpt(reply.content ?? stripTags(reply.content_rendered ?? ""), 140)
+    }))
+  });
+}
+
+function richContent(item, { absolute = false } = {}) {
+  if (item?.content_rendered == null) return `<p>${escapeHtml(item?.content ?? "")}</p>`;
+  return sanitizer.clean(item.content_rendered, item.content || stripTags(item.content_rendered), {
+    rewriteImage: (src) => {
+      const local = localAssetPath(src);
+      return local ? (absolute ? absoluteUrl(local) : sharedUrl(local)) : null;
+    }
+  });
+}
+
+function memberView(username) {
+  return username ? { name: username, href: url(memberPath(username)) } : null;
+}
+
+// Member files are named after the username itself, because static hosts
+// decode the request path before looking up the file; only URLs are encoded.
+function memberSlug(username) {
+  const name = String(username).replace(/[\/\\\u0000-\u001f]/g, "_");
+  return name === "." || name === ".." ? "_" : name;
+}
+
+function memberPath(username) {
+  return `/member/${encodeURIComponent(memberSlug(username))}/`;
+}
+
+function excerpt(text, length) {
+  const flat = String(text ?? "").replace(/\s+/g, " ").trim();
+  return flat.length > length ? `${flat.slice(0, length)}…` : flat;
+}
+
+// Lists are described by the topics on them, so that every page of a list gets
+// a description of its own.
+function listDescription(heading, topics) {
+  const titles = topics.slice(0, 5).map((topic) => topic.title).join(locale.t("meta.separator"));
+  return titles ? locale.t("meta.list", { heading, titles }) : heading;
+}
+
+function safeHttpUrl(value) {
+  const raw = String(value ?? "").trim();
+  if (/^https?:\/\//i.test(raw)) return raw;
+  return `https://${raw.replace(/^[a-z]+:/i, "")}`;
+}
+
+function isoTime(seconds) {
+  const n = Number(seconds);
+  return Number.isFinite(n) && n > 0 ? new Date(n * 1000).toISOString() : undefined;
+}
+
+function formatUnixUtc8(seconds) {
+  const n = Number(seconds);
+  if (!Number.isFinite(n) || n <= 0) return locale.t("site.unknown");
+  return formatUtc8(new Date(n * 1000).toISOString());
+}
+
+function tombstoneView(tombstone) {
+  if (!tombstone) return null;
+  const label = ["deleted", "login_required", "hidden"].includes(tombstone.state)
+    ? locale.t(`topic.tombstone_${tombstone.state}`)
+    : locale.t("topic.tombstone_unknown");
+  return locale.t("topic.tombstone", { label, detected: formatUtc8(tombstone.detected_at), checked: formatUtc8(tombstone.checked_at) });
+}
+
+function revisionsView(topic, revisionsDoc) {
+  const revisions = Array.isArray(revisionsDoc?.revisions) ? revisionsDoc.revisions : [];
+  if (!revisions.length) return null;
+
+  const versions = [...revisions, { title: topic.title, content: topic.content, content_rendered: topic.content_rendered, supplements: topic.supplements }];
+  const items = [];
+  for (let i = versions.length - 1; i >= 1; i -= 1) {
+    const prev = versions[i - 1];
+    const next = versions[i];
+    items.push({
+      label: locale.t("revisions.change", {
+        from: i,
+        to: i === versions.length - 1 ? locale.t("revisions.current") : locale.t("revisions.version", { number: i + 1 }),
+        fetched: formatUtc8(prev.fetched_at),
+        captured: formatUtc8(prev.captured_at)
+      }),
+      titleChange: String(prev.title ?? "") !== String(next.title ?? "") ? { from: prev.title ?? "", to: next.title ?? "" } : null,
+      lines: diffLines(revisionText(prev), revisionText(next)).map((op) => ({
+        type: op.type,
+        sign: op.type === "add" ? "+" : op.type === "del" ? "-" : " ",
+        text: op.text
+      }))
     });
-    await writeFile(path.join(DIST_DIR, "t", String(id), "index.html"), html);
   }
+  return { summary: locale.t("revisions.summary", { count: revisions.length }), items };
+}
+
+function revisionText(version) {
+  const body = version?.content || stripTags(version?.content_rendered ?? "");
+  const supplements = (Array.isArray(version?.supplements) ? version.supplements : []).map(
+    (item, index) => `${locale.t("revisions.supplement", { number: index + 1 })}\n${item?.content || stripTags(item?.content_rendered ?? "")}`
+  );
+  return [body, ...supplements].join("\n");
+}
+
+function stripTags(html) {
+  return String(html ?? "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&#39;", "'")
+    .replaceAll("&nbsp;", " ")
+    .replaceAll("&amp;", "&")
+    .trim();
+}
+
+async function buildSearchPage(searchIndex, state) {
+  if (locale.primary) {
+    for (const [name, content] of searchIndex.files()) {
+      await writeFile(path.join(DIST_DIR, "search", "index", name), content);
+    }
+  }
+
+  const html = renderPage("search", {
+    pageTitle: siteTitle(locale.t("nav.search")),
+    current: "/search",
+    state,
+    meta: { path: "/search/" },
+    indexHref: sharedUrl("/search/index/"),
+    baseHref: url("/"),
+    placeholder: locale.t(SEARCH_INDEX_REPLIES ? "search.placeholder_replies" : "search.placeholder"),
+    indexed: locale.t("search.indexed", { count: searchIndex.size() }),
+    // Messages for site/assets/search.js, which formats them the same way.
+    clientMessages: JSON.stringify({ ...locale.messages.search, untitled: locale.t("site.untitled") })
+  });
+  await writeFile(path.join(localeDir(), "search", "index.html"), html);
 }
 
 async function buildAboutPage(state, totalTopics) {
-  const html = layout({
-    pageTitle: "V2EX 镜像 - 关于",
-    body: `
-<h1>关于本站</h1>
-${siteNav("/about")}
-<p>这是一个非官方的 V2EX 只读镜像站，用于浏览公开帖子内容。</p>
-<p>数据来源于 V2EX 公开 API，内容版权归原作者与 V2EX 所有。</p>
-<p>本站不提供登录、发帖、回帖等功能。</p>
-<p>所有帖子总数: <strong>${Number(totalTopics)}</strong></p>
-${syncInfo(state)}
-`
+  const html = renderPage("about", {
+    pageTitle: siteTitle(locale.t("nav.about")),
+    current: "/about",
+    state,
+    meta: { path: "/about/", description: locale.t("about.intro") },
+    totalTopics: Number(totalTopics)
   });
-  await writeFile(path.join(DIST_DIR, "about", "index.html"), html);
+  await writeFile(path.join(localeDir(), "about", "index.html"), html);
+}
+
+async function buildSitemaps({ topicMap, manifestTopics, nodes, nodeBuckets, archive, listSizes }) {
+  const newest = (topics) => topics.reduce((max, topic) => Math.max(max, topicLastmod(topic)), 0);
+  const pageCount = (size) => Math.max(1, Math.ceil(size / PAGE_SIZE));
+  const siteLastmod = newest([...topicMap.values()]);
+
+  const lists = [["/nodes/", siteLastmod], ["/about/", siteLastmod]];
+  for (const [basePath, size] of Object.entries(listSizes)) {
+    for (let pageNo = 1; pageNo <= pageCount(size); pageNo += 1) lists.push([pagePath(basePath, pageNo), siteLastmod]);
+  }
+
+  const nodeUrls = [];
+  for (const node of nodes) {
+    const topics = nodeBuckets.get(node.name) ?? [];
+    const lastmod = newest(topics);
+    for (let pageNo = 1; pageNo <= pageCount(topics.length); pageNo += 1) {
+      nodeUrls.push([pagePath(`/nodes/${node.name}`, pageNo), lastmod]);
+    }
+  }
+
+  const archiveUrls = [["/archive/", siteLastmod]];
+  for (const year of [...archive].reverse()) {
+    for (const period of [year, ...year.months.flatMap((month) => [month, ...month.days])]) {
+      const lastmod = newest(period.topics);
+      for (let pageNo = 1; pageNo <= pageCount(period.topics.length); pageNo += 1) {
+        archiveUrls.push([pagePath(archivePath(period), pageNo), lastmod]);
+      }
+    }
+  }
+
+  const topicUrls = [];
+  for (const [id, topic] of topicMap.entries()) {
+    const lastmod = topicLastmod(topic);
+    for (let pageNo = 1; pageNo <= Number(manifestTopics[id]?.pages ?? 1); pageNo += 1) {
+      topicUrls.push([topicPagePath(id, pageNo), lastmod]);
+    }
+  }
+
+  const children = [
+    ...chunkSitemap("lists", lists),
+    ...chunkSitemap("nodes", nodeUrls),
+    ...chunkSitemap("archive", archiveUrls),
+    ...chunkSitemap("topics", topicUrls)
+  ];
+  for (const child of children) {
+    await writeFile(path.join(DIST_DIR, "sitemaps", child.name), child.xml);
+  }
+
+  const index = children
+    .map((child) => `<sitemap><loc>${escapeXml(absoluteUrl(`/sitemaps/${child.name}`))}</loc>${sitemapLastmod(child.lastmod)}</sitemap>`)
+    .join("\n");
+  await writeFile(
+    path.join(DIST_DIR, "sitemap.xml"),
+    `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${index}
+</sitemapindex>`
+  );
+  await writeFile(path.join(DIST_DIR, "robots.txt"), `User-agent: *\nAllow: /\n\nSitemap: ${absoluteUrl("/sitemap.xml")}\n`);
+}
+
+// Splits a section into files that stay under the protocol limits of 50,000
+// URLs and 50 MB per sitemap.
+function chunkSitemap(section, entries) {
+  const head = `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n`;
+  const tail = "\n</urlset>";
+  const chunks = [];
+  let current = null;
+  for (const [localPath, lastmod] of entries) {
+    const line = `<url><loc>${escapeXml(absoluteUrl(localPath))}</loc>${sitemapLastmod(lastmod)}</url>`;
+    const bytes = Buffer.byteLength(line) + 1;
+    if (!current || current.lines.length >= SITEMAP_MAX_URLS || current.bytes + bytes > SITEMAP_MAX_BYTES) {
+      current = { lines: [], bytes: Buffer.byteLength(head + tail), lastmod: 0 };
+      chunks.push(current);
+    }
+    current.lines.push(line);
+    current.bytes += bytes;
+    current.lastmod = Math.max(current.lastmod, lastmod);
+  }
+  return chunks.map((chunk, i) => ({
+    name: chunks.length === 1 ? `${section}.xml` : `${section}-${i + 1}.xml`,
+    lastmod: chunk.lastmod,
+    xml: `${head}${chunk.lines.join("\n")}${tail}`
+  }));
+}
+
+function sitemapLastmod(seconds) {
+  return seconds > 0 ? `<lastmod>${new Date(seconds * 1000).toISOString()}</lastmod>` : "";
+}
+
+function topicLastmod(topic) {
+  return Math.max(Number(topic?.last_modified ?? 0), Number(topic?.last_touched ?? 0), Number(topic?.created ?? 0)) || 0;
+}
+
+function atomFeed({ title, path: feedPath, pagePath, topics, state }) {
+  const entries = topics.filter((topic) => Number(topic?.id) > 0);
+  const updatedTimes = entries.map((topic) => topicUpdatedAt(topic)).filter(Boolean);
+  const feedUpdated = updatedTimes.sort().at(-1) ?? state?.last_success_at ?? new Date(0).toISOString();
+  const body = entries
+    .map((topic) => {
+      const link = absoluteUrl(`/t/${topic.id}/`);
+      const content = richContent(topic, { absolute: true });
+      return `<entry>
+  <id>${escapeXml(link)}</id>
+  <title>${escapeXml(topic.title ?? locale.t("site.untitled"))}</title>
+  <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>
+  <updated>${topicUpdatedAt(topic) ?? feedUpdated}</updated>${
+        Number(topic.created) > 0 ? `\n  <published>${new Date(Number(topic.created) * 1000).toISOString()}</published>` : ""
+      }
+  <author><name>${escapeXml(topic.member?.username ?? locale.t("feeds.author"))}</name></author>${
+        topic.node?.name ? `\n  <category term="${escapeXml(topic.node.name)}" label="${escapeXml(topic.node.title ?? topic.node.name)}"/>` : ""
+      }
+  <content type="html">${escapeXml(content)}</content>
+</entry>`;
+    })
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+<id>${escapeXml(absoluteUrl(feedPath))}</id>
+<title>${escapeXml(title)}</title>
+<link rel="self" type="application/atom+xml" href="${escapeXml(absoluteUrl(feedPath))}"/>
+<link rel="alternate" type="text/html" href="${escapeXml(absoluteUrl(pagePath))}"/>
+<updated>${feedUpdated}</updated>
+${body}
+</feed>`;
 }
 
-async function buildSitemap(topicMap) {
-  const paths = ["/", "/hot/", "/all/", "/nodes/", "/about/", ...[...topicMap.keys()].map((id) => `/t/${id}/`)];
-  const body = paths.map((p) => `<url><loc>${escapeXml(absoluteUrl(p))}</loc></url>`).join("");
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${body}</urlset>`;
-  await writeFile(path.join(DIST_DIR, "sitemap.xml"), xml);
+function topicUpdatedAt(topic) {
+  const seconds = Number(topic?.last_modified ?? topic?.created ?? 0);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
 }
 
 function groupByNode(topics) {
@@ -286,48 +1167,70 @@ function groupByNode(topics) {
 
 function siteNav(current) {
   const links = [
-    ["/", "最新"],
-    ["/hot/", "最热"],
-    ["/all/", "所有"],
-    ["/nodes/", "节点"],
-    ["/about/", "关于"]
+    ["/", "nav.latest"],
+    ["/hot/", "nav.hot"],
+    ["/all/", "nav.all"],
+    ["/archive/", "nav.archive"],
+    ["/nodes/", "nav.nodes"],
+    ["/search/", "nav.search"],
+    ["/about/", "nav.about"]
   ];
   const currentNormalized = normalizeSlash(current);
-  return `<nav class="nav">${links
-    .map(([href, label]) => `<a class="${normalizeSlash(href) === currentNormalized ? "active" : ""}" href="${url(href)}">${label}</a>`)
-    .join("")}</nav>`;
+  return links.map(([href, label]) => ({ href: url(href), label: locale.t(label), active: normalizeSlash(href) === currentNormalized }));
 }
 
-function syncInfo(state) {
-  const ts = formatUtc8(state?.last_success_at);
-  return `<footer class="sync-info">最后同步时间(UTC+8): ${escapeHtml(ts)} · 数据来源: V2EX 公开 API</footer>`;
+function pagerView(basePath, pageNo, totalPages, segment = "page") {
+  if (totalPages <= 1) return null;
+  return {
+    position: locale.t("pager.position", { page: pageNo, total: totalPages }),
+    prev: pageNo > 1 ? url(pagePath(basePath, pageNo - 1, segment)) : null,
+    next: pageNo < totalPages ? url(pagePath(basePath, pageNo + 1, segment)) : null
+  };
 }
 
-function paginationHtml(basePath, pageNo, totalPages) {
-  if (totalPages <= 1) return "";
-  const prev = pageNo > 1 ? pagePath(basePath, pageNo - 1) : null;
-  const next = pageNo < totalPages ? pagePath(basePath, pageNo + 1) : null;
-  return `<div class="pager">
-  <span>第 ${pageNo} / ${totalPages} 页</span>
-  ${prev ? `<a href="${url(prev)}">上一页</a>` : '<span class="disabled">上一页</span>'}
-  ${next ? `<a href="${url(next)}">下一页</a>` : '<span class="disabled">下一页</span>'}
-</div>`;
+function pagePath(basePath, pageNo, segment = "page") {
+  if (basePath === "/") return pageNo === 1 ? "/" : `/${segment}/${pageNo}/`;
+  return pageNo === 1 ? normalizeSlash(basePath) : `${normalizeSlash(basePath)}${segment}/${pageNo}/`;
 }
 
-function pagePath(basePath, pageNo) {
-  if (basePath === "/") return pageNo === 1 ? "/" : `/page/${pageNo}/`;
-  return pageNo === 1 ? normalizeSlash(basePath) : `${normalizeSlash(basePath)}page/${pageNo}/`;
+// Absolute URLs are only used by feeds and sitemaps, which always point at the
+// primary locale.
+function absoluteUrl(localPath) {
+  return `${SITE_BASE_URL}${sharedUrl(localPath)}`;
 }
 
-function absoluteUrl(localPath) {
-  return `${SITE_BASE_URL}${url(localPath)}`;
+// Links between pages stay inside the locale being rendered.
+function url(localPath, variant = locale) {
+  return sharedUrl(`${variant?.prefix ?? ""}/${trimStartSlash(localPath)}`);
+}
+
+// Absolute address of a page, in the locale being rendered unless given.
+function pageUrl(localPath, variant = locale) {
+  return `${SITE_BASE_URL}${url(localPath, variant)}`;
 }
 
-function url(localPath) {
+// Assets, media, feeds and the search index exist once for all locales.
+function sharedUrl(localPath) {
   const p = localPath.startsWith("/") ? localPath : `/${localPath}`;
   return `${BASE_PATH}${p}`.replace(/\/{2,}/g, "/");
 }
 
+function localeDir() {
+  return locale.prefix ? path.join(DIST_DIR, trimStartSlash(locale.prefix)) : DIST_DIR;
+}
+
+function siteTitle(label) {
+  return `${locale.t("site.name")} - ${label}`;
+}
+
+function pageSuffix(pageNo, totalPages) {
+  return totalPages > 1 ? locale.t("site.page_suffix", { page: pageNo }) : "";
+}
+
+function siteFeed() {
+  return { title: locale.t("feeds.latest"), path: SITE_FEED_PATH };
+}
+
 function normalizeBasePath(p) {
   const trimmed = String(p ?? "").trim();
   if (!trimmed || trimmed === "/") return "";
@@ -352,33 +1255,85 @@ function paginate(items, size) {
   return pages;
 }
 
-function layout({ pageTitle, body }) {
-  return `<!doctype html>
-<html lang="zh-CN">
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <title>${escapeHtml(pageTitle)}</title>
-  <meta name="description" content="V2EX 只读镜像站">
-  <link rel="stylesheet" href="${url("/assets/style.css")}">
-</head>
-<body>
-  <main class="container">
-    ${body}
-  </main>
-</body>
-</html>`;
+// Renders site/templates/<theme>/<name>.html inside layout.html. Every page
+// template gets the navigation and the assets URL; `meta` becomes the
+// description, canonical and social tags in the page head. Only pages given
+// `state` show the sync time: keyed pages are reused across builds and would
+// keep the time of the build that wrote them.
+function renderPage(name, { pageTitle, feeds = [], current, state, meta, ...context }) {
+  const common = {
+    t: locale.messages,
+    lang: locale.code,
+    assets: sharedUrl("/assets/"),
+    nav: siteNav(current),
+    locales: localeLinks(),
+    syncInfo: state ? locale.t("site.synced", { time: formatUtc8(state.last_success_at) }) : null
+  };
+  return templates.render("layout", {
+    ...common,
+    pageTitle,
+    meta: pageMeta(meta),
+    feeds: [siteFeed(), ...feeds].map((feed) => ({ title: feed.title, href: sharedUrl(feed.path) })),
+    body: templates.render(name, { ...common, ...context })
+  });
 }
 
+// `path` is the page's own local path and `origin` its counterpart on V2EX, if
+// it has one. Pages with `openGraph` also get OpenGraph and Twitter card tags.
+function pageMeta({ path: localPath, origin = null, description = "", openGraph = null, jsonLd = null }) {
+  const canonical = SITE_CANONICAL === "origin" && origin ? origin : pageUrl(localPath);
+  const summary = excerpt(description, META_DESCRIPTION_LENGTH) || locale.t("site.description");
+  const tags = [];
+  if (openGraph) {
+    const properties = {
+      "og:type": openGraph.type,
+      "og:site_name": locale.t("site.name"),
+      "og:title": openGraph.title,
+      "og:description": summary,
+      "og:url": canonical,
+      "og:locale": locale.code.replace("-", "_"),
+      "og:image": openGraph.image,
+      ...openGraph.properties
+    };
+    const cards = {
+      "twitter:card": openGraph.image ? "summary_large_image" : "summary",
+      "twitter:title": openGraph.title,
+      "twitter:description": summary
+    };
+    for (const [name, content] of Object.entries(properties)) if (content) tags.push({ attr: "property", name, content });
+    for (const [name, content] of Object.entries(cards)) if (content) tags.push({ attr: "name", name, content });
+  }
+  return {
+    description: summary,
+    canonical,
+    alternates: locales.length > 1 ? locales.map((variant) => ({ lang: variant.code, href: pageUrl(localPath, variant) })) : [],
+    tags,
+    // "<" is escaped so that text in the data cannot close the script element.
+    jsonLd: jsonLd ? JSON.stringify(jsonLd).replaceAll("<", "\\u003c") : null
+  };
+}
+
+// Links to the home page of every other locale that is being built.
+function localeLinks() {
+  return locales
+    .filter((variant) => variant.code !== locale.code)
+    .map((variant) => ({ href: sharedUrl(`${variant.prefix}/`), label: variant.t("nav.language"), lang: variant.code }));
+}
+
+// Shared scripts from site/assets, then the default theme's assets, then the
+// selected theme's, each overriding files of the same name.
 async function copyStaticAssets() {
-  const srcDir = path.join(ROOT, "site", "assets");
+  const sources = new Map();
+  for (const srcDir of [path.join(ROOT, "site", "assets"), ...[...THEME_DIRS].reverse().map((dir) => path.join(dir, "assets"))]) {
+    const files = await fs.readdir(srcDir).catch((error) => {
+      if (error?.code === "ENOENT") return [];
+      throw error;
+    });
+    for (const file of files) sources.set(file, path.join(srcDir, file));
+  }
   const outDir = path.join(DIST_DIR, "assets");
-  await fs.mkdir(outDir, { recursive: true });
-  const files = await fs.readdir(srcDir);
-  for (const file of files) {
-    const src = path.join(srcDir, file);
-    const dst = path.join(outDir, file);
-    await fs.copyFile(src, dst);
+  for (const [file, source] of sources.entries()) {
+    await writeFile(path.join(outDir, file), await fs.readFile(source));
   }
 }
 
@@ -405,42 +1360,17 @@ function escapeXml(input) {
 }
 
 function formatUtc8(isoTs) {
-  if (!isoTs) return "未知";
+  if (!isoTs) return locale.t("site.unknown");
   const d = new Date(isoTs);
-  if (Number.isNaN(d.getTime())) return "未知";
-  return d.toLocaleString("zh-CN", {
-    hour12: false,
+  if (Number.isNaN(d.getTime())) return locale.t("site.unknown");
+  return d.toLocaleString(locale.code, {
+    hourCycle: "h23",
     timeZone: "Asia/Shanghai"
   });
 }
 
-async function readJson(file, fallback) {
-  try {
-    const txt = await fs.readFile(file, "utf8");
-    return JSON.parse(txt);
-  } catch {
-    return fallback;
-  }
-}
-
-async function readTopicDocs(dir) {
-  try {
-    const files = await fs.readdir(dir);
-    const docs = [];
-    for (const file of files) {
-      if (!file.endsWith(".json")) continue;
-      const doc = await readJson(path.join(dir, file), null);
-      if (doc?.topic?.id) docs.push(doc);
-    }
-    return docs;
-  } catch {
-    return [];
-  }
-}
-
 async function writeFile(file, content) {
-  await fs.mkdir(path.dirname(file), { recursive: true });
-  await fs.writeFile(file, content, "utf8");
+  await pageWriter.write(file, content);
 }
 
 main().catch((error) => {
@@ -0,0 +1,220 @@
+const ALLOWED_TAGS = new Set([
+  "a", "abbr", "b", "blockquote", "br", "code", "dd", "del", "div", "dl", "dt", "em", "h1", "h2", "h3", "h4", "h5", "h6",
+  "hr", "i", "img", "ins", "kbd", "li", "ol", "p", "pre", "s", "span", "strike", "strong", "sub", "sup", "table", "tbody",
+  "td", "tfoot", "th", "thead", "tr", "u", "ul"
+]);
+const VOID_TAGS = new Set(["br", "hr", "img"]);
+// Dropped together with everything inside them.
+const DROP_CONTENT_TAGS = new Set(["script", "style", "iframe", "object", "embed", "noscript", "template", "textarea", "svg", "math", "frameset", "frame"]);
+const ALLOWED_ATTRS = {
+  "*": new Set(["title"]),
+  a: new Set(["href", "name"]),
+  img: new Set(["src", "alt", "width", "height"]),
+  td: new Set(["colspan", "rowspan", "align"]),
+  th: new Set(["colspan", "rowspan", "align"]),
+  ol: new Set(["start"])
+};
+const URL_ATTRS = new Set(["href", "src"]);
+const URL_SCHEMES = {
+  href: new Set(["http", "https", "mailto"]),
+  src: new Set(["http", "https"])
+};
+const EXTERNAL_REL = "nofollow noopener noreferrer ugc";
+const MAX_DEPTH = 256;
+
+const TAG_PATTERN = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/;
+const ATTR_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Relative links in upstream HTML point at V2EX, so they are resolved against
+// `baseUrl`; left as they are they would point into the mirror, outside
+// SITE_BASE_PATH, at pages that mostly do not exist here.
+export function createSanitizer({ siteHosts = ["www.v2ex.com", "v2ex.com"], baseUrl = "https://www.v2ex.com/" } = {}) {
+  const stats = { items: 0, cleaned: 0, failed: 0, removed: new Map() };
+  const internalHosts = new Set(siteHosts.map((host) => host.toLowerCase()));
+
+  function clean(html, fallbackText, { rewriteImage = null } = {}) {
+    stats.items += 1;
+    try {
+      const removed = new Map();
+      const output = sanitizeHtml(String(html ?? ""), removed, { internalHosts, baseUrl, rewriteImage });
+      if (removed.size) stats.cleaned += 1;
+      for (const [construct, count] of removed.entries()) {
+        stats.removed.set(construct, (stats.removed.get(construct) ?? 0) + count);
+      }
+      return output;
+    } catch {
+      stats.failed += 1;
+      return `<p>${escapeText(fallbackText)}</p>`;
+    }
+  }
+
+  function summary() {
+    const removed = [...stats.removed.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([construct, count]) => `${construct}=${count}`)
+      .join(" ");
+    return `items=${stats.items} cleaned=${stats.cleaned} failed=${stats.failed}${removed ? ` removed: ${removed}` : ""}`;
+  }
+
+  return { clean, summary, stats };
+}
+
+function sanitizeHtml(html, removed, options) {
+  const note = (construct) => removed.set(construct, (removed.get(construct) ?? 0) + 1);
+  const out = [];
+  const stack = [];
+  let i = 0;
+
+  while (i < html.length) {
+    const lt = html.indexOf("<", i);
+    if (lt === -1) {
+      out.push(escapeStray(html.slice(i)));
+      break;
+    }
+    out.push(escapeStray(html.slice(i, lt)));
+    const rest = html.slice(lt);
+
+    if (rest.startsWith("<!--")) {
+      const end = html.indexOf("-->", lt + 4);
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (/^<[!?]/.test(rest)) {
+      const end = html.indexOf(">", lt);
+      note("declaration");
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    const match = rest.match(TAG_PATTERN);
+    if (!match) {
+      out.push("&lt;");
+      i = lt + 1;
+      continue;
+    }
+    i = lt + match[0].length;
+    const [, closing, rawName, rawAttrs] = match;
+    const name = rawName.toLowerCase();
+
+    if (DROP_CONTENT_TAGS.has(name)) {
+      if (!closing) {
+        note(`tag:${name}`);
+        const close = new RegExp(`</${name}\\s*>`, "i").exec(html.slice(i));
+        i = close ? i + close.index + close[0].length : html.length;
+      }
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(name)) {
+      if (!closing) note(`tag:${name}`);
+      continue;
+    }
+
+    if (closing) {
+      const at = stack.lastIndexOf(name);
+      if (at === -1) continue;
+      while (stack.length > at) out.push(`</${stack.pop()}>`);
+      continue;
+    }
+
+    const attrs = sanitizeAttributes(name, rawAttrs, note, options);
+    if (attrs === null) continue;
+    out.push(`<${name}${attrs}>`);
+    if (!VOID_TAGS.has(name)) {
+      stack.push(name);
+      if (stack.length > MAX_DEPTH) throw new Error("HTML nested too deeply");
+    }
+  }
+
+  while (stack.length) out.push(`</${stack.pop()}>`);
+  return out.join("");
+}
+
+function sanitizeAttributes(tag, rawAttrs, note, { internalHosts, baseUrl, rewriteImage }) {
+  const allowed = ALLOWED_ATTRS[tag] ?? new Set();
+  const kept = [];
+  let external = false;
+
+  for (const match of rawAttrs.matchAll(ATTR_PATTERN)) {
+    const attr = match[1].toLowerCase();
+    const value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+    if (!allowed.has(attr) && !ALLOWED_ATTRS["*"].has(attr)) {
+      note(attr.startsWith("on") ? "attr:on*" : `attr:${attr}`);
+      continue;
+    }
+    if (URL_ATTRS.has(attr)) {
+      const safe = resolveUrl(safeUrl(value, URL_SCHEMES[attr]), baseUrl);
+      if (safe === null) {
+        note(`url:${urlScheme(value) ?? "invalid"}`);
+        if (tag === "img") return null;
+        continue;
+      }
+      if (tag === "a" && attr === "href") external = isExternal(safe, internalHosts);
+      const rewritten = tag === "img" && rewriteImage ? (rewriteImage(safe) ?? safe) : safe;
+      kept.push(` ${attr}="${escapeAttrValue(rewritten)}"`);
+      continue;
+    }
+    kept.push(` ${attr}="${escapeAttrValue(value)}"`);
+  }
+
+  if (tag === "img" && !kept.some((attr) => attr.startsWith(" src="))) return null;
+  if (external) kept.push(` rel="${EXTERNAL_REL}"`);
+  return kept.join("");
+}
+
+function safeUrl(value, schemes) {
+  // Browsers ignore whitespace and control characters inside schemes, so
+  // "java\tscript:" must be judged the same as "javascript:".
+  const compact = value.replace(/[\u0000- \u007f-\u009f]/g, "");
+  if (!compact) return null;
+  if (compact.startsWith("//")) return `https:${value.trim()}`;
+  const scheme = urlScheme(compact);
+  if (scheme === null) return value.trim();
+  return schemes.has(scheme) ? value.trim() : null;
+}
+
+// Fragment-only links stay on the page.
+function resolveUrl(value, baseUrl) {
+  if (value === null || value.startsWith("#") || urlScheme(value) !== null) return value;
+  try {
+    return new URL(value, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+function urlScheme(value) {
+  const match = String(value).replace(/[\u0000- \u007f-\u009f]/g, "").match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function isExternal(href, internalHosts) {
+  try {
+    const parsed = new URL(href);
+    return !internalHosts.has(parsed.hostname.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+function decodeEntities(value) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", colon: ":", tab: "\t", newline: "\n" };
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (entity, body) => {
+    if (body[0] === "#") {
+      const code = body[1] === "x" || body[1] === "X" ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      return Number.isFinite(code) && code >= 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+    }
+    return named[body.toLowerCase()] ?? entity;
+  });
+}
+
+function escapeStray(text) {
+  return text.replaceAll(">", "&gt;");
+}
+
+function escapeAttrValue(value) {
+  return String(value).replaceAll("&", "&amp;").replaceAll('"', "&quot;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+}
+
+function escapeText(value) {
+  return String(value ?? "").replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+}
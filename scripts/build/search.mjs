@@ -0,0 +1,75 @@
+import { shardOf, tokenize } from "../../site/assets/tokenize.js";
+
+export const SEARCH_INDEX_VERSION = 2;
+const TITLE_WEIGHT = 5;
+const DOC_CHUNK_SIZE = 2000;
+
+export function createSearchIndex({ shardCount = 64, maxChars = 5000 } = {}) {
+  const docs = [];
+
+  function add(topic, { text = "", replyTexts = [] } = {}) {
+    const id = Number(topic?.id);
+    if (!Number.isFinite(id) || id <= 0) return;
+    const weights = new Map();
+    const count = (tokens, weight) => {
+      for (const token of tokens) weights.set(token, (weights.get(token) ?? 0) + weight);
+    };
+    count(tokenize(topic.title), TITLE_WEIGHT);
+    let body = String(text ?? "");
+    for (const replyText of replyTexts) {
+      if (body.length >= maxChars) break;
+      body += `\n${replyText}`;
+    }
+    count(tokenize(body.slice(0, maxChars)), 1);
+    docs.push({
+      id,
+      title: String(topic.title ?? ""),
+      node: String(topic.node?.name ?? ""),
+      nodeTitle: String(topic.node?.title ?? topic.node?.name ?? ""),
+      time: Number(topic.last_modified ?? topic.last_touched ?? topic.created ?? 0),
+      weights
+    });
+  }
+
+  // Documents are ordered newest first so that clients can break score ties by
+  // document number alone.
+  function files() {
+    const sorted = [...docs].sort((a, b) => b.time - a.time || b.id - a.id);
+    const nodes = [];
+    const nodeIndex = new Map();
+    const shards = Array.from({ length: shardCount }, () => ({}));
+    const chunks = [];
+
+    sorted.forEach((doc, n) => {
+      if (!nodeIndex.has(doc.node)) {
+        nodeIndex.set(doc.node, nodes.length);
+        nodes.push([doc.node, doc.nodeTitle]);
+      }
+      const chunk = Math.floor(n / DOC_CHUNK_SIZE);
+      chunks[chunk] ??= [];
+      chunks[chunk].push([doc.id, doc.title, nodeIndex.get(doc.node), doc.time]);
+      for (const [term, weight] of doc.weights.entries()) {
+        const shard = shards[shardOf(term, shardCount)];
+        (shard[term] ??= []).push(n, weight);
+      }
+    });
+
+    const meta = {
+      version: SEARCH_INDEX_VERSION,
+      shard_count: shardCount,
+      doc_count: sorted.length,
+      doc_chunk_size: DOC_CHUNK_SIZE,
+      doc_chunks: chunks.length,
+      nodes,
+      doc_nodes: sorted.map((doc) => nodeIndex.get(doc.node))
+    };
+
+    return [
+      ["meta.json", JSON.stringify(meta)],
+      ...chunks.map((chunk, i) => [`docs-${i}.json`, JSON.stringify(chunk)]),
+      ...shards.map((shard, i) => [`terms-${i}.json`, JSON.stringify(shard)])
+    ];
+  }
+
+  return { add, files, size: () => docs.length };
+}
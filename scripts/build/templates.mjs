@@ -0,0 +1,172 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// A small mustache-style engine for the files under site/templates/<theme>/:
+//
+//   {{ a.b }}                 escaped value
+//   {{{ a.b }}}               raw HTML, only for markup the build produced itself
+//   {{#if a}}…{{else}}…{{/if}}  `{{#if !a}}` negates; empty arrays are falsy
+//   {{#each list}}…{{else}}…{{/each}}  `{{ . }}` is the current item, with
+//                             `@index`, `@first` and `@last` alongside it
+//   {{> name}}                partials/<name>.html with the current scope
+//
+// Block and partial tags standing alone on a line do not leave a blank line
+// behind; partials end with their own newline.
+//
+// Names resolve from the innermost scope outwards, so loop bodies can still
+// read page-level values. Themes are searched in order, which lets a theme
+// override only some templates and fall back to the default for the rest.
+const TAG_PATTERN = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+export function createTemplateEngine({ dirs }) {
+  const sources = new Map();
+  const compiled = new Map();
+
+  async function load() {
+    for (const dir of [...dirs].reverse()) {
+      for (const file of await listTemplates(dir)) {
+        const name = path.relative(dir, file).split(path.sep).join("/").replace(/\.html$/, "");
+        sources.set(name, { file, text: await fs.readFile(file, "utf8") });
+      }
+    }
+  }
+
+  function template(name) {
+    if (!compiled.has(name)) {
+      const source = sources.get(name);
+      if (!source) throw new Error(`Template not found: ${name}`);
+      compiled.set(name, parse(source.text, source.file));
+    }
+    return compiled.get(name);
+  }
+
+  function render(name, context = {}) {
+    return renderNodes(template(name), [context]);
+  }
+
+  function renderNodes(nodes, scopes) {
+    let out = "";
+    for (const node of nodes) {
+      if (node.type === "text") {
+        out += node.text;
+      } else if (node.type === "value") {
+        const value = lookup(scopes, node.path);
+        out += node.raw ? String(value ?? "") : escapeHtml(value);
+      } else if (node.type === "if") {
+        const value = truthy(lookup(scopes, node.path));
+        out += renderNodes(value !== node.negate ? node.body : node.alternate, scopes);
+      } else if (node.type === "each") {
+        const items = lookup(scopes, node.path);
+        out += Array.isArray(items) && items.length
+          ? items
+              .map((item, i) => renderNodes(node.body, [...scopes, { "@index": i, "@first": i === 0, "@last": i === items.length - 1 }, item]))
+              .join("")
+          : renderNodes(node.alternate, scopes);
+      } else if (node.type === "partial") {
+        out += renderNodes(template(`partials/${node.name}`), scopes);
+      }
+    }
+    return out;
+  }
+
+  return { load, render };
+}
+
+function parse(text, file) {
+  const root = [];
+  const stack = [{ node: null, nodes: root }];
+  const current = () => stack.at(-1).nodes;
+  let last = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    let start = match.index;
+    let end = match.index + match[0].length;
+    // Block and partial tags alone on a line take the whole line with them.
+    if (match[2] !== undefined && /^([#/>]|else$)/.test(match[2])) {
+      const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+      const lineEnd = text.indexOf("\n", end);
+      const after = lineEnd === -1 ? text.length : lineEnd + 1;
+      if (lineStart >= last && !text.slice(lineStart, start).trim() && !text.slice(end, after).trim()) {
+        start = lineStart;
+        end = after;
+      }
+    }
+    if (start > last) current().push({ type: "text", text: text.slice(last, start) });
+    last = end;
+    const fail = (message) => new Error(`${file}:${text.slice(0, match.index).split("\n").length}: ${message}`);
+
+    if (match[1] !== undefined) {
+      current().push({ type: "value", path: match[1], raw: true });
+      continue;
+    }
+    const tag = match[2];
+    const block = tag.match(/^#(if|each)\s+(!?)\s*(\S+)$/);
+    if (block) {
+      const node = { type: block[1], path: block[3], negate: block[2] === "!", body: [], alternate: [] };
+      current().push(node);
+      stack.push({ node, nodes: node.body });
+    } else if (tag === "else") {
+      const top = stack.at(-1);
+      if (!top.node || top.nodes === top.node.alternate) throw fail("unexpected {{else}}");
+      top.nodes = top.node.alternate;
+    } else if (/^\/(if|each)$/.test(tag)) {
+      const top = stack.at(-1);
+      if (!top.node || `/${top.node.type}` !== tag) throw fail(`unexpected {{${tag}}}`);
+      stack.pop();
+    } else if (tag.startsWith(">")) {
+      current().push({ type: "partial", name: tag.slice(1).trim() });
+    } else {
+      current().push({ type: "value", path: tag, raw: false });
+    }
+  }
+  if (stack.length > 1) throw new Error(`${file}: unclosed {{#${stack.at(-1).node.type}}}`);
+  if (last < text.length) current().push({ type: "text", text: text.slice(last) });
+  return root;
+}
+
+function lookup(scopes, expression) {
+  if (expression === ".") return scopes.at(-1);
+  const [head, ...rest] = expression.split(".");
+  let value;
+  for (let i = scopes.length - 1; i >= 0; i -= 1) {
+    const scope = scopes[i];
+    if (scope !== null && typeof scope === "object" && head in scope) {
+      value = scope[head];
+      break;
+    }
+  }
+  for (const key of rest) value = value?.[key];
+  return value;
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+async function listTemplates(dir) {
+  const files = [];
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error?.code === "ENOENT") return files;
+    throw error;
+  }
+  for (const entry of entries) {
+    if (entry.name === "assets") continue;
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await listTemplates(file)));
+    else if (entry.name.endsWith(".html")) files.push(file);
+  }
+  return files;
+}
+
+function escapeHtml(input) {
+  return String(input ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;")
+    .replaceAll("`", "&#96;");
+}
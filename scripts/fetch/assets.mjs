@@ -0,0 +1,110 @@
+import path from "node:path";
+import { createAssetStore, downloadImage, extractImageUrls } from "../lib/assets.mjs";
+import { createDeadline } from "../lib/deadline.mjs";
+import { createRateLimiter } from "../lib/limiter.mjs";
+import { createDataStore, writeJsonAtomic } from "../lib/store.mjs";
+
+const store = createDataStore();
+const LAST_RUN_FILE = path.join(store.dirs.meta, "assets_last_run.json");
+
+const CONFIG = {
+  fetchBase: process.env.ASSET_FETCH_BASE ?? "",
+  maxBytes: Number(process.env.ASSET_MAX_BYTES ?? 5 * 1024 * 1024),
+  maxPerRun: Number(process.env.ASSET_MAX_PER_RUN ?? 300),
+  retryDays: Number(process.env.ASSET_RETRY_DAYS ?? 7),
+  maxAttempts: Number(process.env.ASSET_MAX_ATTEMPTS ?? 3),
+  intervalMs: Number(process.env.ASSET_INTERVAL_MS ?? 200),
+  timeBudget: process.env.ASSET_TIME_BUDGET ?? ""
+};
+
+const deadline = createDeadline(CONFIG.timeBudget);
+const limiter = createRateLimiter({ intervalMs: CONFIG.intervalMs });
+
+async function main() {
+  const startedAt = new Date().toISOString();
+  const assets = createAssetStore(store.dirs.assets);
+  const index = await assets.load();
+  const referenced = await collectImageReferences();
+
+  for (const [url, topicIds] of referenced.entries()) {
+    if (index.assets[url]) index.assets[url].topic_ids = topicIds;
+  }
+
+  const retryBefore = Date.now() - CONFIG.retryDays * 24 * 60 * 60 * 1000;
+  const pending = [...referenced.keys()].filter((url) => {
+    if (index.assets[url]) return false;
+    const failure = index.failures[url];
+    if (!failure) return true;
+    return failure.attempts < CONFIG.maxAttempts && Date.parse(failure.checked_at) < retryBefore;
+  });
+
+  const report = {
+    started_at: startedAt,
+    finished_at: null,
+    referenced: referenced.size,
+    stored: Object.keys(index.assets).length,
+    pending: pending.length,
+    fetched: 0,
+    bytes: 0,
+    failed: {},
+    deferred: 0,
+    deadline_reached: false
+  };
+
+  const batch = pending.slice(0, CONFIG.maxPerRun);
+  for (let i = 0; i < batch.length; i += 1) {
+    if (deadline.expired()) {
+      report.deadline_reached = true;
+      report.deferred = batch.length - i;
+      break;
+    }
+    const url = batch[i];
+    try {
+      await limiter.wait();
+      const { buffer, type } = await downloadImage(url, { fetchBase: CONFIG.fetchBase, maxBytes: CONFIG.maxBytes });
+      await assets.put(url, buffer, type, referenced.get(url));
+      report.fetched += 1;
+      report.bytes += buffer.length;
+    } catch (error) {
+      const reason = error?.code ?? (error?.name === "TimeoutError" ? "timeout" : "error");
+      assets.fail(url, reason);
+      report.failed[reason] = (report.failed[reason] ?? 0) + 1;
+    }
+  }
+  report.deferred += pending.length - batch.length;
+  report.stored = Object.keys(index.assets).length;
+
+  await assets.save();
+  report.finished_at = new Date().toISOString();
+  await writeJsonAtomic(LAST_RUN_FILE, report);
+
+  console.log(
+    `Assets done. referenced=${report.referenced} stored=${report.stored} fetched=${report.fetched} failed=${Object.values(report.failed).reduce((a, b) => a + b, 0)} deferred=${report.deferred}`
+  );
+}
+
+async function collectImageReferences() {
+  const referenced = new Map();
+  const add = (html, topicId) => {
+    for (const url of extractImageUrls(html)) {
+      if (!referenced.has(url)) referenced.set(url, []);
+      const ids = referenced.get(url);
+      if (!ids.includes(topicId)) ids.push(topicId);
+    }
+  };
+
+  for await (const { id, doc } of store.collections.topics.entries()) {
+    add(doc?.topic?.content_rendered, Number(id));
+  }
+  for await (const { id, doc } of store.collections.replies.entries()) {
+    for (const reply of Array.isArray(doc?.replies) ? doc.replies : []) {
+      add(reply?.content_rendered, Number(id));
+    }
+  }
+  return referenced;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,128 +1,341 @@
-import fs from "node:fs/promises";
 import path from "node:path";
-
-const ROOT = process.cwd();
-const DATA_DIR = path.join(ROOT, "data");
-const NODES_DIR = path.join(DATA_DIR, "nodes");
-const TOPICS_DIR = path.join(DATA_DIR, "topics");
-const REPLIES_DIR = path.join(DATA_DIR, "replies");
-const META_DIR = path.join(DATA_DIR, "meta");
+import { parseArgs } from "node:util";
+import { createV2exClient, DEFAULT_API_BASE, tombstoneState } from "../lib/client.mjs";
+import { createDeadline } from "../lib/deadline.mjs";
+import { loadContentFilter } from "../lib/filter.mjs";
+import { createRateLimiter, isCircuitOpenError } from "../lib/limiter.mjs";
+import { collectMembers, syncMembers } from "../lib/members.mjs";
+import {
+  createDataStore,
+  createRepliesDoc,
+  createTombstoneDoc,
+  readJson,
+  shouldRefreshRepliesDoc,
+  topicRevisionChanged,
+  writeJsonAtomic
+} from "../lib/store.mjs";
+
+const store = createDataStore();
+const NODES_DIR = store.dirs.nodes;
+const META_DIR = store.dirs.meta;
 const REPORT_FILE = path.join(META_DIR, "backfill_last_run.json");
+const CURSOR_FILE = path.join(META_DIR, "backfill_cursors.json");
+const RANGE_FILE = path.join(META_DIR, "backfill_range.json");
+const RANGE_SAVE_EVERY = 50;
+const RANGE_RETRY_SHARE = 0.25;
+
+const ARGS = parseArgs({
+  options: {
+    from: { type: "string" },
+    to: { type: "string" }
+  },
+  strict: false
+}).values;
 
-const BASE_V1 = "https://www.v2ex.com/api";
-const BASE_V2 = "https://www.v2ex.com/api/v2";
 const CONFIG = {
+  apiBase: process.env.V2EX_API_BASE ?? DEFAULT_API_BASE,
+  apiLayout: process.env.V2EX_API_LAYOUT || "v1",
   nodeLimit: Number(process.env.BACKFILL_NODE_LIMIT ?? 40),
   pagesPerNode: Number(process.env.BACKFILL_PAGES_PER_NODE ?? 3),
   maxTopics: Number(process.env.BACKFILL_MAX_TOPICS ?? 2000),
   repairPartialLimit: Number(process.env.BACKFILL_REPAIR_PARTIAL_LIMIT ?? 5000),
   intervalMs: Number(process.env.FETCH_INTERVAL_MS ?? 350),
   retries: Number(process.env.FETCH_RETRIES ?? 3),
-  forceRefresh: String(process.env.BACKFILL_FORCE_REFRESH ?? "false").toLowerCase() === "true"
-};
-
-const endpoints = {
-  nodes: `${BASE_V1}/nodes/all.json`,
-  nodeTopics: (nodeName, p) => `${BASE_V1}/topics/show.json?node_name=${encodeURIComponent(nodeName)}&p=${p}`,
-  topicById: (id) => `${BASE_V1}/topics/show.json?id=${id}`,
-  repliesByTopicId: (id) => `${BASE_V1}/replies/show.json?topic_id=${id}`,
-  repliesByTopicIdAll: (id) => `${BASE_V1}/replies/show.json?topic_id=${id}&p=1`,
-  v2Replies: (id, p) => `${BASE_V2}/topics/${id}/replies?p=${p}`
+  maxIntervalMs: Number(process.env.FETCH_MAX_INTERVAL_MS ?? 30000),
+  maxRetryAfterMs: Number(process.env.FETCH_MAX_RETRY_AFTER_MS ?? 120000),
+  breakerThreshold: Number(process.env.FETCH_BREAKER_THRESHOLD ?? 8),
+  forceRefresh: String(process.env.BACKFILL_FORCE_REFRESH ?? "false").toLowerCase() === "true",
+  resetCursors: String(process.env.BACKFILL_RESET_CURSORS ?? "false").toLowerCase() === "true",
+  rangeFrom: Number(ARGS.from ?? process.env.BACKFILL_RANGE_FROM ?? 0) || 0,
+  rangeTo: Number(ARGS.to ?? process.env.BACKFILL_RANGE_TO ?? 0) || 0,
+  rangeMaxAttempts: Math.max(1, Number(process.env.BACKFILL_RANGE_MAX_ATTEMPTS ?? 3) || 3),
+  memberProfiles: String(process.env.MEMBER_PROFILE_FETCH ?? "false").toLowerCase() === "true",
+  memberProfileTtlDays: Number(process.env.MEMBER_PROFILE_TTL_DAYS ?? 30),
+  timeBudget: process.env.BACKFILL_TIME_BUDGET ?? ""
 };
 
-let nextAllowedAt = 0;
+const deadline = createDeadline(CONFIG.timeBudget);
+const limiter = createRateLimiter(CONFIG);
+const client = createV2exClient({ baseUrl: CONFIG.apiBase, layout: CONFIG.apiLayout, limiter, retries: CONFIG.retries });
+const { endpoints } = client;
+let filter = null;
+
+async function persistMembers(topic, replies, report) {
+  const result = await syncMembers({
+    store,
+    client,
+    members: collectMembers(topic, replies),
+    fetchProfiles: CONFIG.memberProfiles,
+    profileTtlMs: CONFIG.memberProfileTtlDays * 24 * 60 * 60 * 1000
+  });
+  report.members.updated += result.updated;
+  report.members.profiles += result.profiles;
+}
 
 async function main() {
   const startedAt = new Date().toISOString();
-  await ensureDirs([NODES_DIR, TOPICS_DIR, REPLIES_DIR, META_DIR]);
+  await store.ensureDirs();
+  filter = await loadContentFilter();
 
   const report = {
     started_at: startedAt,
     finished_at: null,
     config: CONFIG,
+    aborted: null,
     nodes: {
       scanned: 0,
-      selected: 0
+      selected: 0,
+      exhausted: 0
+    },
+    cursors: {
+      reset: CONFIG.resetCursors,
+      advanced: 0
     },
     repair_candidates: 0,
     candidates: 0,
     topic_detail_fetched: 0,
     topic_detail_skipped: 0,
+    topic_revised: 0,
     replies_fetched: 0,
     replies_skipped: 0,
+    tombstone_skipped: 0,
+    filtered: {
+      nodes: 0,
+      topics: 0
+    },
+    tombstoned: [],
+    members: {
+      updated: 0,
+      profiles: 0
+    },
+    range: null,
+    deferred: 0,
+    deadline_reached: false,
     failed: []
   };
 
-  const nodes = await loadNodes();
-  report.nodes.scanned = nodes.length;
+  if (CONFIG.rangeFrom > 0 && CONFIG.rangeTo > 0) {
+    await sweepRange(report);
+  } else {
+    await backfillNodes(report);
+  }
+
+  if (limiter.tripped) {
+    report.aborted = { reason: limiter.reason, at: new Date().toISOString() };
+  }
+  report.deadline_reached = deadline.expired();
+  await store.flush();
+
+  report.finished_at = new Date().toISOString();
+  await writeJsonAtomic(REPORT_FILE, report);
+  const scope = report.range
+    ? `range=${report.range.from}-${report.range.to} nextId=${report.range.next_id} skipped=${report.range.skipped}`
+    : `nodes=${report.nodes.selected}`;
+  console.log(
+    `Backfill ${report.aborted ? "aborted" : "done"}. ${scope} candidates=${report.candidates} topicFetched=${report.topic_detail_fetched} repliesFetched=${report.replies_fetched} filtered=${report.filtered.topics} tombstoned=${report.tombstoned.length} deferred=${report.deferred} failed=${report.failed.length}`
+  );
+  if (report.aborted) console.error(`Backfill aborted: ${report.aborted.reason}`);
+}
+
+async function backfillNodes(report) {
+  const allNodes = await loadNodes();
+  const nodes = allNodes.filter((node) => !filter.nodeFiltered(node.name));
+  report.nodes.scanned = allNodes.length;
+  report.filtered.nodes = allNodes.length - nodes.length;
   const selectedNodes = nodes.slice(0, CONFIG.nodeLimit);
   report.nodes.selected = selectedNodes.length;
 
-  const repairCandidates = await collectRepairCandidates();
+  const repairCandidates = await collectRepairCandidates(report);
   report.repair_candidates = repairCandidates.length;
 
-  const candidates = mergeCandidates(repairCandidates, await collectCandidateTopics(selectedNodes), CONFIG.maxTopics);
+  const cursors = CONFIG.resetCursors ? { nodes: {} } : await readJson(CURSOR_FILE, { nodes: {} });
+  const { candidates: nodeCandidates, plan } = await collectCandidateTopics(selectedNodes, cursors, report);
+  report.nodes.exhausted = selectedNodes.filter((node) => cursors.nodes?.[node.name]?.exhausted).length;
+
+  const candidates = mergeCandidates(repairCandidates, nodeCandidates, CONFIG.maxTopics);
   report.candidates = candidates.length;
-  const previewById = new Map(candidates.filter((c) => c.preview).map((c) => [c.id, c.preview]));
-
-  for (const topicId of candidates.map((c) => c.id)) {
-    const topicFile = path.join(TOPICS_DIR, `${topicId}.json`);
-    const repliesFile = path.join(REPLIES_DIR, `${topicId}.json`);
-    const existingTopicDoc = await readJson(topicFile, null);
-    const existingRepliesDoc = await readJson(repliesFile, null);
-
-    try {
-      let topic = existingTopicDoc?.topic ?? null;
-      if (!topic || CONFIG.forceRefresh) {
-        topic = await fetchTopic(topicId, previewById.get(topicId));
-        if (!topic) throw new Error(`Empty topic payload for ${topicId}`);
-        await writeJsonAtomic(topicFile, {
-          topic,
-          meta: {
-            fetched_at: new Date().toISOString(),
-            source: endpoints.topicById(topicId),
-            reason: "backfill"
-          }
-        });
-        report.topic_detail_fetched += 1;
-      } else {
-        report.topic_detail_skipped += 1;
-      }
+  const processed = new Set();
 
-      const shouldFetchReplies =
-        CONFIG.forceRefresh || shouldRefreshRepliesDoc(existingRepliesDoc, Number(topic?.replies ?? 0));
+  for (const candidate of candidates) {
+    if (limiter.tripped || deadline.expired()) break;
+    processed.add(candidate.id);
+    await backfillTopic(candidate.id, { preview: candidate.preview, report });
+  }
+  report.deferred = candidates.length - processed.size;
 
-      if (shouldFetchReplies && topic) {
-        const replies = await fetchReplies(topicId, Number(topic.replies ?? 0));
-        const totalCount = Number(topic.replies ?? replies.length);
-        const fetchedCount = Array.isArray(replies) ? replies.length : 0;
-        await writeJsonAtomic(repliesFile, {
-          replies,
-          meta: {
-            fetched_at: new Date().toISOString(),
-            source: endpoints.repliesByTopicId(topicId),
-            reply_count: totalCount,
-            total_count: totalCount,
-            fetched_count: fetchedCount,
-            partial: fetchedCount < totalCount,
-            reason: "backfill"
-          }
-        });
-        report.replies_fetched += 1;
+  const nextCursors = advanceCursors(cursors, plan, nodeCandidates, processed);
+  report.cursors.advanced = [...plan].filter(([name, step]) => nextCursors.nodes[name].next_page > step.startPage).length;
+  await writeJsonAtomic(CURSOR_FILE, nextCursors);
+}
+
+async function sweepRange(report) {
+  const from = Math.min(CONFIG.rangeFrom, CONFIG.rangeTo);
+  const to = Math.max(CONFIG.rangeFrom, CONFIG.rangeTo);
+  const key = `${from}-${to}`;
+  const progressDoc = await readJson(RANGE_FILE, { ranges: {} });
+  const saved = CONFIG.resetCursors ? null : progressDoc.ranges?.[key];
+  const progress = {
+    from,
+    to,
+    next_id: Number(saved?.next_id ?? from),
+    found: Number(saved?.found ?? 0),
+    missing: Number(saved?.missing ?? 0),
+    retry_ids: Array.isArray(saved?.retry_ids) ? saved.retry_ids : [],
+    retry_attempts: { ...(saved?.retry_attempts ?? {}) },
+    skipped_ids: Array.isArray(saved?.skipped_ids) ? saved.skipped_ids : [],
+    done: false,
+    updated_at: null
+  };
+  report.range = { from, to, start_id: progress.next_id, next_id: progress.next_id, processed: 0, found: 0, missing: 0, existing: 0, filtered: 0, retried: 0, skipped: 0 };
+
+  const save = async () => {
+    progress.updated_at = new Date().toISOString();
+    progress.done = progress.next_id > to && progress.retry_ids.length === 0;
+    progressDoc.ranges = { ...(progressDoc.ranges ?? {}), [key]: progress };
+    await writeJsonAtomic(RANGE_FILE, progressDoc);
+  };
+
+  const retryIds = progress.retry_ids;
+  progress.retry_ids = [];
+  // Failed IDs go first, but only up to a share of the batch while new IDs remain, so the sweep keeps advancing.
+  const retryBudget = Math.max(1, Math.ceil(CONFIG.maxTopics * RANGE_RETRY_SHARE));
+
+  while (!limiter.tripped && !deadline.expired() && report.range.processed < CONFIG.maxTopics) {
+    const fromRetry = retryIds.length > 0 && (report.range.retried < retryBudget || progress.next_id > to);
+    const topicId = fromRetry ? retryIds.shift() : progress.next_id <= to ? progress.next_id : null;
+    if (topicId === null) break;
+
+    const outcome = await backfillTopic(topicId, { preview: null, report });
+    if (outcome === "aborted") {
+      if (fromRetry) retryIds.unshift(topicId);
+      break;
+    }
+    if (fromRetry) report.range.retried += 1;
+    else progress.next_id += 1;
+
+    if (outcome === "failed") {
+      const attempts = Number(progress.retry_attempts[topicId] ?? 0) + 1;
+      if (attempts >= CONFIG.rangeMaxAttempts) {
+        delete progress.retry_attempts[topicId];
+        progress.skipped_ids.push(topicId);
+        report.range.skipped += 1;
       } else {
-        report.replies_skipped += 1;
+        progress.retry_attempts[topicId] = attempts;
+        progress.retry_ids.push(topicId);
       }
-    } catch (error) {
-      report.failed.push({ topic_id: topicId, error: String(error.message ?? error) });
-      console.error(`[backfill topic ${topicId}] ${error.message ?? error}`);
+    } else {
+      delete progress.retry_attempts[topicId];
     }
+
+    if (outcome === "existing" || outcome === "tombstone") {
+      report.range.existing += 1;
+      continue;
+    }
+    if (outcome === "filtered") {
+      report.range.filtered += 1;
+      continue;
+    }
+    if (outcome === "fetched") {
+      report.range.found += 1;
+      progress.found += 1;
+    } else if (outcome === "missing") {
+      report.range.missing += 1;
+      progress.missing += 1;
+    }
+    report.range.processed += 1;
+    if (report.range.processed % RANGE_SAVE_EVERY === 0) await save();
   }
 
-  report.finished_at = new Date().toISOString();
-  await writeJsonAtomic(REPORT_FILE, report);
-  console.log(
-    `Backfill done. nodes=${report.nodes.selected} candidates=${report.candidates} topicFetched=${report.topic_detail_fetched} repliesFetched=${report.replies_fetched} failed=${report.failed.length}`
-  );
+  progress.retry_ids.push(...retryIds);
+  report.deferred = progress.retry_ids.length + Math.max(0, to - progress.next_id + 1);
+  report.range.next_id = progress.next_id;
+  await save();
+}
+
+async function backfillTopic(topicId, { preview, report }) {
+  const existingTopicDoc = await store.readTopicDoc(topicId);
+  const existingRepliesDoc = await store.readRepliesDoc(topicId);
+  if (existingTopicDoc?.meta?.tombstone && !CONFIG.forceRefresh) {
+    report.tombstone_skipped += 1;
+    return "tombstone";
+  }
+  if (filter.topicReason(existingTopicDoc?.topic)) {
+    report.filtered.topics += 1;
+    return "filtered";
+  }
+
+  try {
+    let outcome = "existing";
+    let topic = existingTopicDoc?.topic ?? null;
+    if (!topic || CONFIG.forceRefresh) {
+      topic = await client.fetchTopic(topicId);
+      // Topics swept by id have no preview to check before fetching.
+      if (filter.topicReason(topic)) {
+        report.filtered.topics += 1;
+        return "filtered";
+      }
+      if (topicRevisionChanged(existingTopicDoc?.topic, topic)) {
+        await store.appendTopicRevision(topicId, existingTopicDoc);
+        report.topic_revised += 1;
+      }
+      await store.writeTopicDoc(topicId, {
+        topic,
+        meta: {
+          fetched_at: new Date().toISOString(),
+          source: endpoints.topicById(topicId),
+          reason: "backfill"
+        }
+      });
+      report.topic_detail_fetched += 1;
+      outcome = "fetched";
+    } else {
+      report.topic_detail_skipped += 1;
+    }
+
+    const shouldFetchReplies =
+      CONFIG.forceRefresh || shouldRefreshRepliesDoc(existingRepliesDoc, Number(topic?.replies ?? 0));
+
+    let replies = null;
+    if (shouldFetchReplies && topic) {
+      replies = await client.fetchReplies(topicId, Number(topic.replies ?? 0));
+      await store.writeRepliesDoc(
+        topicId,
+        createRepliesDoc({
+          replies,
+          source: endpoints.repliesByTopicId(topicId),
+          totalCount: topic.replies,
+          extraMeta: { reason: "backfill" }
+        })
+      );
+      report.replies_fetched += 1;
+    } else {
+      report.replies_skipped += 1;
+    }
+
+    if (topic && (outcome === "fetched" || replies)) {
+      await persistMembers(topic, replies, report);
+    }
+    return outcome;
+  } catch (error) {
+    if (isCircuitOpenError(error)) return "aborted";
+    const state = tombstoneState(error);
+    if (state) {
+      await store.writeTopicDoc(
+        topicId,
+        createTombstoneDoc(existingTopicDoc, {
+          state,
+          statusCode: error.statusCode ?? null,
+          fallbackTopic: preview,
+          topicId
+        })
+      );
+      report.tombstoned.push({ topic_id: topicId, state });
+      return "missing";
+    }
+    report.failed.push({ topic_id: topicId, error: String(error.message ?? error) });
+    console.error(`[backfill topic ${topicId}] ${error.message ?? error}`);
+    return "failed";
+  }
 }
 
 async function loadNodes() {
@@ -131,7 +344,7 @@ async function loadNodes() {
   if (Array.isArray(local) && local.length > 0) {
     return sortNodes(local);
   }
-  const remote = await fetchJsonWithRetry(endpoints.nodes);
+  const remote = await client.fetchJson(endpoints.nodes);
   await writeJsonAtomic(localPath, remote);
   return sortNodes(remote);
 }
@@ -142,34 +355,18 @@ function sortNodes(nodes) {
     .sort((a, b) => Number(b?.topics ?? 0) - Number(a?.topics ?? 0));
 }
 
-function shouldRefreshRepliesDoc(existingRepliesDoc, expectedCount) {
-  if (!existingRepliesDoc) return true;
-
-  const replyCount = Number(existingRepliesDoc?.meta?.reply_count ?? -1);
-  const totalCount = Number(existingRepliesDoc?.meta?.total_count ?? replyCount);
-  const fetchedCount = Number(existingRepliesDoc?.meta?.fetched_count ?? existingRepliesDoc?.replies?.length ?? 0);
-  const repliesLength = Array.isArray(existingRepliesDoc?.replies) ? existingRepliesDoc.replies.length : 0;
-
-  if (replyCount !== Number(expectedCount)) return true;
-  if (existingRepliesDoc?.meta?.partial === true) return true;
-  if (fetchedCount < totalCount) return true;
-  if (repliesLength < totalCount) return true;
-
-  return false;
-}
-
-async function collectRepairCandidates() {
-  const files = await safeReadDir(REPLIES_DIR);
+async function collectRepairCandidates(report) {
+  const topicIds = await store.listRepliesIds();
   const candidates = [];
 
-  for (const file of files) {
-    if (!file.isFile() || !file.name.endsWith(".json")) continue;
-
-    const topicId = Number(file.name.replace(/\.json$/i, ""));
-    if (!Number.isFinite(topicId) || topicId <= 0) continue;
-
-    const repliesDoc = await readJson(path.join(REPLIES_DIR, file.name), null);
-    const topicDoc = await readJson(path.join(TOPICS_DIR, `${topicId}.json`), null);
+  for (const topicId of topicIds) {
+    const repliesDoc = await store.readRepliesDoc(topicId);
+    const topicDoc = await store.readTopicDoc(topicId);
+    if (topicDoc?.meta?.tombstone) continue;
+    if (filter.topicReason(topicDoc?.topic)) {
+      report.filtered.topics += 1;
+      continue;
+    }
     const expectedCount = Number(topicDoc?.topic?.replies ?? repliesDoc?.meta?.total_count ?? repliesDoc?.meta?.reply_count ?? 0);
 
     if (shouldRefreshRepliesDoc(repliesDoc, expectedCount)) {
@@ -194,155 +391,69 @@ function mergeCandidates(repairCandidates, topicCandidates, maxTopics) {
   return [...map.values()];
 }
 
-async function collectCandidateTopics(nodes) {
+async function collectCandidateTopics(nodes, cursors, report) {
   const map = new Map();
+  const plan = new Map();
+  const toCandidates = () => [...map.values()];
+
   for (const node of nodes) {
-    for (let p = 1; p <= CONFIG.pagesPerNode; p += 1) {
+    if (limiter.tripped || deadline.expired()) break;
+    const cursor = cursors?.nodes?.[node.name] ?? {};
+    if (cursor.exhausted) continue;
+
+    const startPage = Math.max(1, Number(cursor.next_page ?? 1) || 1);
+    const step = { startPage, nextPage: startPage, exhausted: false };
+    plan.set(node.name, step);
+
+    for (let p = startPage; p < startPage + CONFIG.pagesPerNode; p += 1) {
       const url = endpoints.nodeTopics(node.name, p);
       try {
-        const pageTopics = await fetchJsonWithRetry(url);
+        const pageTopics = await client.fetchJson(url);
         if (!Array.isArray(pageTopics) || pageTopics.length === 0) {
           if (p === 1) {
             console.warn(`[backfill node ${node.name}] empty first page`);
           }
+          step.exhausted = true;
           break;
         }
         for (const topic of pageTopics) {
           const id = Number(topic?.id);
+          if (filter.topicReason(topic)) {
+            report.filtered.topics += 1;
+            continue;
+          }
           if (Number.isFinite(id) && id > 0 && !map.has(id)) {
-            map.set(id, topic);
+            map.set(id, { id, preview: topic, node: node.name, page: p });
           }
-          if (map.size >= CONFIG.maxTopics) return [...map.entries()].map(([tid, preview]) => ({ id: tid, preview }));
+          if (map.size >= CONFIG.maxTopics) return { candidates: toCandidates(), plan };
         }
+        step.nextPage = p + 1;
       } catch (error) {
+        if (isCircuitOpenError(error)) break;
         console.error(`[backfill node ${node.name} p=${p}] ${error.message ?? error}`);
         break;
       }
     }
   }
-  return [...map.entries()].map(([id, preview]) => ({ id, preview }));
+  return { candidates: toCandidates(), plan };
 }
 
-async function fetchTopic(topicId, preview) {
-  try {
-    const data = await fetchJsonWithRetry(endpoints.topicById(topicId));
-    if (!Array.isArray(data) || data.length === 0) return null;
-    return data[0];
-  } catch (error) {
-    const status = error?.statusCode;
-    if ((status === 403 || status === 404) && preview && Number(preview?.id) === Number(topicId)) {
-      return {
-        ...preview,
-        id: topicId
-      };
-    }
-    throw error;
-  }
-}
-
-async function fetchReplies(topicId, expectedCount = 0) {
-  const token = process.env.V2EX_TOKEN;
-  if (!token) {
-    try {
-      const data = await fetchJsonWithRetry(endpoints.repliesByTopicIdAll(topicId));
-      return Array.isArray(data) ? data : [];
-    } catch (error) {
-      const status = error?.statusCode;
-      if (status === 403 || status === 404) return [];
-      throw error;
-    }
+function advanceCursors(cursors, plan, nodeCandidates, processed) {
+  const now = new Date().toISOString();
+  const pendingPage = new Map();
+  for (const candidate of nodeCandidates) {
+    if (processed.has(candidate.id)) continue;
+    pendingPage.set(candidate.node, Math.min(pendingPage.get(candidate.node) ?? Infinity, candidate.page));
   }
 
-  const all = [];
-  for (let p = 1; p <= 50; p += 1) {
-    const page = await fetchJsonWithRetry(endpoints.v2Replies(topicId, p), {
-      authToken: token
-    });
-    const items = Array.isArray(page?.result) ? page.result : Array.isArray(page) ? page : [];
-    if (!items.length) break;
-    all.push(...items);
-    if (items.length < 50) break;
+  const nodes = { ...(cursors?.nodes ?? {}) };
+  for (const [name, step] of plan) {
+    const pending = pendingPage.get(name);
+    nodes[name] = pending
+      ? { next_page: pending, exhausted: false, updated_at: now }
+      : { next_page: step.nextPage, exhausted: step.exhausted, updated_at: now };
   }
-  if (all.length === 0 && expectedCount > 0) {
-    try {
-      const data = await fetchJsonWithRetry(endpoints.repliesByTopicIdAll(topicId));
-      return Array.isArray(data) ? data : [];
-    } catch (error) {
-      const status = error?.statusCode;
-      if (status === 403 || status === 404) return [];
-      throw error;
-    }
-  }
-  return all;
-}
-
-async function fetchJsonWithRetry(url, options = {}) {
-  let lastError = null;
-  for (let i = 0; i < CONFIG.retries; i += 1) {
-    try {
-      await waitRateLimit();
-      const response = await fetch(url, {
-        headers: {
-          "User-Agent": "Mozilla/5.0 (compatible; v2ex-mirror/0.1; +https://github.com/)",
-          Accept: "application/json,text/plain,*/*",
-          Referer: "https://www.v2ex.com/",
-          ...(options.authToken ? { Authorization: `Bearer ${options.authToken}` } : {})
-        }
-      });
-      if (!response.ok) {
-        const error = new Error(`HTTP ${response.status} for ${url}`);
-        error.statusCode = response.status;
-        throw error;
-      }
-      return await response.json();
-    } catch (error) {
-      lastError = error;
-      if (error?.statusCode === 403 || error?.statusCode === 404) {
-        throw error;
-      }
-      const backoff = CONFIG.intervalMs * (i + 1) * 2 + Math.floor(Math.random() * 200);
-      await sleep(backoff);
-    }
-  }
-  throw lastError ?? new Error(`Request failed: ${url}`);
-}
-
-async function waitRateLimit() {
-  const now = Date.now();
-  if (now < nextAllowedAt) await sleep(nextAllowedAt - now);
-  nextAllowedAt = Date.now() + CONFIG.intervalMs;
-}
-
-async function ensureDirs(dirs) {
-  await Promise.all(dirs.map((dir) => fs.mkdir(dir, { recursive: true })));
-}
-
-async function safeReadDir(dir) {
-  try {
-    return await fs.readdir(dir, { withFileTypes: true });
-  } catch {
-    return [];
-  }
-}
-
-async function readJson(file, fallback) {
-  try {
-    const txt = await fs.readFile(file, "utf8");
-    return JSON.parse(txt);
-  } catch {
-    return fallback;
-  }
-}
-
-async function writeJsonAtomic(file, data) {
-  await fs.mkdir(path.dirname(file), { recursive: true });
-  const tmp = `${file}.tmp`;
-  await fs.writeFile(tmp, `${JSON.stringify(data, null, 2)}\n`, "utf8");
-  await fs.rename(tmp, file);
-}
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+  return { updated_at: now, nodes };
 }
 
 main().catch((error) => {
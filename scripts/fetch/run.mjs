@@ -1,54 +1,90 @@
-import fs from "node:fs/promises";
 import path from "node:path";
-
-const ROOT = process.cwd();
-const DATA_DIR = path.join(ROOT, "data");
-const INDEX_DIR = path.join(DATA_DIR, "index");
-const NODES_DIR = path.join(DATA_DIR, "nodes");
-const TOPICS_DIR = path.join(DATA_DIR, "topics");
-const REPLIES_DIR = path.join(DATA_DIR, "replies");
-const META_DIR = path.join(DATA_DIR, "meta");
+import { createV2exClient, DEFAULT_API_BASE, tombstoneState } from "../lib/client.mjs";
+import { createDeadline } from "../lib/deadline.mjs";
+import { loadContentFilter } from "../lib/filter.mjs";
+import { createRateLimiter, isCircuitOpenError } from "../lib/limiter.mjs";
+import { collectMembers, syncMembers } from "../lib/members.mjs";
+import {
+  createDataStore,
+  createRepliesDoc,
+  createTombstoneDoc,
+  readJson,
+  shouldRefreshRepliesDoc,
+  topicRevisionChanged,
+  writeJsonAtomic
+} from "../lib/store.mjs";
+
+const store = createDataStore();
+const INDEX_DIR = store.dirs.index;
+const NODES_DIR = store.dirs.nodes;
+const META_DIR = store.dirs.meta;
 const STATE_FILE = path.join(META_DIR, "state.json");
+const PRIORITY_TIERS = ["latest", "hot_changed", "stale", "unchanged"];
 const LAST_RUN_FILE = path.join(META_DIR, "last_run.json");
 const HOT_POOL_FILE = path.join(INDEX_DIR, "hot_pool.json");
+const REPLY_SNAPSHOTS_FILE = path.join(INDEX_DIR, "reply_snapshots.json");
 
-const BASE_V1 = "https://www.v2ex.com/api";
-const BASE_V2 = "https://www.v2ex.com/api/v2";
 const CONFIG = {
+  apiBase: process.env.V2EX_API_BASE ?? DEFAULT_API_BASE,
+  apiLayout: process.env.V2EX_API_LAYOUT || "v1",
   concurrency: Number(process.env.FETCH_CONCURRENCY ?? 2),
   intervalMs: Number(process.env.FETCH_INTERVAL_MS ?? 350),
   refreshTtlHours: Number(process.env.TOPIC_REFRESH_TTL_HOURS ?? 24),
-  retries: 3,
+  retries: Number(process.env.FETCH_RETRIES ?? 3),
+  maxIntervalMs: Number(process.env.FETCH_MAX_INTERVAL_MS ?? 30000),
+  maxRetryAfterMs: Number(process.env.FETCH_MAX_RETRY_AFTER_MS ?? 120000),
+  breakerThreshold: Number(process.env.FETCH_BREAKER_THRESHOLD ?? 8),
   hotPoolLimit: Number(process.env.HOT_POOL_LIMIT ?? 600),
-  hotPoolTtlDays: Number(process.env.HOT_POOL_TTL_DAYS ?? 30)
-};
-
-const endpoints = {
-  latest: `${BASE_V1}/topics/latest.json`,
-  hot: `${BASE_V1}/topics/hot.json`,
-  nodes: `${BASE_V1}/nodes/all.json`,
-  topicById: (id) => `${BASE_V1}/topics/show.json?id=${id}`,
-  repliesByTopicId: (id) => `${BASE_V1}/replies/show.json?topic_id=${id}`,
-  repliesByTopicIdAll: (id) => `${BASE_V1}/replies/show.json?topic_id=${id}&p=1`,
-  v2Replies: (id, p) => `${BASE_V2}/topics/${id}/replies?p=${p}`
+  hotPoolTtlDays: Number(process.env.HOT_POOL_TTL_DAYS ?? 30),
+  replySnapshotDays: Number(process.env.REPLY_SNAPSHOT_DAYS ?? 30),
+  tombstoneRecheckDays: Number(process.env.TOMBSTONE_RECHECK_DAYS ?? 7),
+  memberProfiles: String(process.env.MEMBER_PROFILE_FETCH ?? "false").toLowerCase() === "true",
+  memberProfileTtlDays: Number(process.env.MEMBER_PROFILE_TTL_DAYS ?? 30),
+  timeBudget: process.env.SYNC_TIME_BUDGET ?? ""
 };
 
-let nextAllowedAt = 0;
+const deadline = createDeadline(CONFIG.timeBudget);
+const limiter = createRateLimiter(CONFIG);
+const client = createV2exClient({ baseUrl: CONFIG.apiBase, layout: CONFIG.apiLayout, limiter, retries: CONFIG.retries });
+const { endpoints } = client;
+
+async function persistMembers(topic, replies, report) {
+  const result = await syncMembers({
+    store,
+    client,
+    members: collectMembers(topic, replies),
+    fetchProfiles: CONFIG.memberProfiles,
+    profileTtlMs: CONFIG.memberProfileTtlDays * 24 * 60 * 60 * 1000
+  });
+  report.members.updated += result.updated;
+  report.members.profiles += result.profiles;
+}
 
 async function main() {
   const startedAt = new Date().toISOString();
-  await ensureDirs([INDEX_DIR, NODES_DIR, TOPICS_DIR, REPLIES_DIR, META_DIR]);
+  await store.ensureDirs();
 
   const previousState = await readJson(STATE_FILE, {});
+  const filter = await loadContentFilter();
   const report = {
     started_at: startedAt,
     finished_at: null,
     config: CONFIG,
+    aborted: null,
     lists: {},
+    members: {
+      updated: 0,
+      profiles: 0
+    },
     topics: {
       candidates: 0,
       refreshed: 0,
+      revised: 0,
       skipped: 0,
+      filtered: 0,
+      restored: 0,
+      tombstoned: [],
+      deferred: null,
       failed: []
     }
   };
@@ -57,94 +93,173 @@ async function main() {
   const hot = await fetchAndPersistList("hot", endpoints.hot, path.join(INDEX_DIR, "hot.json"), report);
   const hotPool = await updateHotPool(hot);
   report.lists.hot_pool = { status: "updated", count: hotPool.length, source: HOT_POOL_FILE };
+  const snapshotCount = await updateReplySnapshots([...(latest ?? []), ...(hot ?? [])]);
+  report.lists.reply_snapshots = { status: "updated", count: snapshotCount, source: REPLY_SNAPSHOTS_FILE };
   await fetchAndPersistList("nodes", endpoints.nodes, path.join(NODES_DIR, "all.json"), report);
 
   const candidates = dedupeTopicIds([...(latest ?? []), ...(hotPool ?? [])]);
   report.topics.candidates = candidates.length;
 
-  const ttlMs = CONFIG.refreshTtlHours * 60 * 60 * 1000;
-  const now = Date.now();
-
-  for (const topicId of candidates) {
-    const topicFile = path.join(TOPICS_DIR, `${topicId}.json`);
-    const repliesFile = path.join(REPLIES_DIR, `${topicId}.json`);
-    const existingTopicDoc = await readJson(topicFile, null);
-    const existingRepliesDoc = await readJson(repliesFile, null);
-    const listSnapshot = snapshotFromLists(topicId, latest, hot);
-
-    const shouldRefreshTopic = decideRefreshTopic({
-      existingTopicDoc,
-      listSnapshot,
-      now,
-      ttlMs
-    });
-
-    try {
-      let topic = existingTopicDoc?.topic ?? null;
-
-      if (shouldRefreshTopic) {
-        topic = await fetchTopic(topicId);
-        if (!topic) {
-          throw new Error(`Empty topic payload for ${topicId}`);
-        }
-        const topicDoc = {
-          topic,
-          meta: {
-            fetched_at: new Date().toISOString(),
-            source: endpoints.topicById(topicId),
-            list_snapshot: listSnapshot
-          }
-        };
-        await writeJsonAtomic(topicFile, topicDoc);
-        report.topics.refreshed += 1;
-      } else {
-        report.topics.skipped += 1;
-      }
+  const plan = await planCandidates(candidates, {
+    latest,
+    hot,
+    hotPool,
+    now: Date.now(),
+    ttlMs: CONFIG.refreshTtlHours * 60 * 60 * 1000,
+    filter,
+    report
+  });
+  const deferred = await runPool(plan, CONFIG.concurrency, (entry) => refreshTopic(entry, report, filter));
 
-      const shouldRefreshReplies =
-        shouldRefreshTopic || shouldRefreshRepliesDoc(existingRepliesDoc, Number(topic?.replies ?? 0));
-
-      if (shouldRefreshReplies && topic) {
-        const replies = await fetchReplies(topicId, Number(topic.replies ?? 0));
-        const totalCount = Number(topic.replies ?? replies.length);
-        const fetchedCount = Array.isArray(replies) ? replies.length : 0;
-        const repliesDoc = {
-          replies,
-          meta: {
-            fetched_at: new Date().toISOString(),
-            source: endpoints.repliesByTopicId(topicId),
-            reply_count: totalCount,
-            total_count: totalCount,
-            fetched_count: fetchedCount,
-            partial: fetchedCount < totalCount
-          }
-        };
-        await writeJsonAtomic(repliesFile, repliesDoc);
-      }
-    } catch (error) {
-      report.topics.failed.push({
-        topic_id: topicId,
-        error: String(error.message ?? error)
-      });
-      console.error(`[topic ${topicId}] ${error.message ?? error}`);
-    }
+  if (limiter.tripped) {
+    report.aborted = { reason: limiter.reason, at: new Date().toISOString() };
+  }
+  if (deferred.length > 0) {
+    report.topics.deferred = {
+      count: deferred.length,
+      reason: report.aborted ? "aborted" : "time_budget",
+      by_priority: Object.fromEntries(PRIORITY_TIERS.map((tier) => [tier, deferred.filter((e) => e.priority === tier).length])),
+      topic_ids: deferred.map((entry) => entry.id)
+    };
   }
 
   const nextState = {
-    last_success_at: new Date().toISOString(),
+    last_success_at: report.aborted ? previousState.last_success_at ?? null : new Date().toISOString(),
     candidate_topic_ids: candidates,
     refreshed_topic_count: report.topics.refreshed,
+    deferred_topic_ids: report.topics.deferred?.topic_ids ?? [],
     failed_topic_count: report.topics.failed.length,
-    previous_last_success_at: previousState.last_success_at ?? null
+    previous_last_success_at: previousState.last_success_at ?? null,
+    aborted_reason: report.aborted?.reason ?? null
   };
 
+  await store.flush();
   report.finished_at = new Date().toISOString();
   await writeJsonAtomic(STATE_FILE, nextState);
   await writeJsonAtomic(LAST_RUN_FILE, report);
 
   console.log(
-    `Sync done. candidates=${report.topics.candidates} refreshed=${report.topics.refreshed} skipped=${report.topics.skipped} failed=${report.topics.failed.length}`
+    `Sync ${report.aborted ? "aborted" : "done"}. candidates=${report.topics.candidates} refreshed=${report.topics.refreshed} revised=${report.topics.revised} skipped=${report.topics.skipped} filtered=${report.topics.filtered} tombstoned=${report.topics.tombstoned.length} deferred=${report.topics.deferred?.count ?? 0} failed=${report.topics.failed.length}`
   );
+  if (report.aborted) console.error(`Sync aborted: ${report.aborted.reason}`);
+}
+
+async function planCandidates(candidates, { latest, hot, hotPool, now, ttlMs, filter, report }) {
+  const latestIds = new Set(dedupeTopicIds(latest ?? []));
+  const tombstoneRecheckMs = CONFIG.tombstoneRecheckDays * 24 * 60 * 60 * 1000;
+  const plan = [];
+
+  for (const topicId of candidates) {
+    const existingTopicDoc = await store.readTopicDoc(topicId);
+    const listItem = findListItem(topicId, latest, hot, hotPool);
+    if (filter.topicReason(listItem ?? existingTopicDoc?.topic)) {
+      report.topics.filtered += 1;
+      continue;
+    }
+    const listSnapshot = snapshotFromListItem(topicId, listItem);
+    const reason = decideRefreshTopic({ existingTopicDoc, listSnapshot, now, ttlMs, tombstoneRecheckMs });
+    plan.push({
+      id: topicId,
+      existingTopicDoc,
+      listItem,
+      listSnapshot,
+      refresh: reason !== null,
+      priority: refreshPriority(reason, latestIds.has(topicId))
+    });
+  }
+
+  return plan.sort((a, b) => PRIORITY_TIERS.indexOf(a.priority) - PRIORITY_TIERS.indexOf(b.priority));
+}
+
+function refreshPriority(reason, inLatest) {
+  if (reason === "new" || reason === "changed") return inLatest ? "latest" : "hot_changed";
+  if (reason === null) return "unchanged";
+  return "stale";
+}
+
+async function refreshTopic({ id: topicId, existingTopicDoc, listItem, listSnapshot, refresh: shouldRefreshTopic }, report, filter) {
+  const existingRepliesDoc = await store.readRepliesDoc(topicId);
+  const tombstoned = Boolean(existingTopicDoc?.meta?.tombstone);
+
+  try {
+    let topic = existingTopicDoc?.topic ?? null;
+
+    if (shouldRefreshTopic) {
+      topic = await client.fetchTopic(topicId);
+      // The list preview can miss a match that only the full topic has.
+      if (filter.topicReason(topic)) {
+        report.topics.filtered += 1;
+        return;
+      }
+      const topicDoc = {
+        topic,
+        meta: {
+          fetched_at: new Date().toISOString(),
+          source: endpoints.topicById(topicId),
+          list_snapshot: listSnapshot
+        }
+      };
+      if (topicRevisionChanged(existingTopicDoc?.topic, topic)) {
+        await store.appendTopicRevision(topicId, existingTopicDoc);
+        report.topics.revised += 1;
+      }
+      await store.writeTopicDoc(topicId, topicDoc);
+      report.topics.refreshed += 1;
+      if (tombstoned) report.topics.restored += 1;
+    } else {
+      report.topics.skipped += 1;
+    }
+
+    const shouldRefreshReplies =
+      shouldRefreshTopic || (!tombstoned && shouldRefreshRepliesDoc(existingRepliesDoc, Number(topic?.replies ?? 0)));
+
+    let replies = null;
+    if (shouldRefreshReplies && topic) {
+      replies = await client.fetchReplies(topicId, Number(topic.replies ?? 0));
+      const repliesDoc = createRepliesDoc({
+        replies,
+        source: endpoints.repliesByTopicId(topicId),
+        totalCount: topic.replies
+      });
+      await store.writeRepliesDoc(topicId, repliesDoc);
+    }
+
+    if (topic && (shouldRefreshTopic || replies)) {
+      await persistMembers(topic, replies, report);
+    }
+  } catch (error) {
+    if (isCircuitOpenError(error)) return "deferred";
+    const state = tombstoneState(error);
+    if (state) {
+      await store.writeTopicDoc(
+        topicId,
+        createTombstoneDoc(existingTopicDoc, { state, statusCode: error.statusCode ?? null, fallbackTopic: listItem, topicId })
+      );
+      report.topics.tombstoned.push({ topic_id: topicId, state });
+      return;
+    }
+    report.topics.failed.push({
+      topic_id: topicId,
+      error: String(error.message ?? error)
+    });
+    console.error(`[topic ${topicId}] ${error.message ?? error}`);
+  }
+}
+
+// Returns what is left undone: the items never started, plus those the worker
+// gave back as "deferred" because the breaker tripped while they were in flight.
+async function runPool(items, concurrency, worker) {
+  const queue = [...items];
+  const interrupted = [];
+  const size = Math.max(1, Math.min(Math.floor(concurrency) || 1, queue.length));
+  const workers = Array.from({ length: size }, async () => {
+    while (queue.length > 0 && !limiter.tripped && !deadline.expired()) {
+      const item = queue.shift();
+      if ((await worker(item)) === "deferred") interrupted.push(item);
+    }
+  });
+  await Promise.all(workers);
+  return [...interrupted, ...queue];
 }
 
 async function updateHotPool(currentHot) {
@@ -162,6 +277,34 @@ async function updateHotPool(currentHot) {
   return limited;
 }
 
+// Reply counts seen in the lists, as [unix seconds, replies] pairs appended
+// whenever a count changes. The build derives reply velocity for /hot/ from
+// them. Pairs older than REPLY_SNAPSHOT_DAYS are dropped, except the last one
+// before the cutoff, which is still the count at that time.
+async function updateReplySnapshots(items) {
+  const snapshots = await readJson(REPLY_SNAPSHOTS_FILE, {});
+  const now = Math.floor(Date.now() / 1000);
+  const seen = new Set();
+  for (const item of items) {
+    const id = Number(item?.id);
+    if (!Number.isFinite(id) || id <= 0 || seen.has(id)) continue;
+    seen.add(id);
+    const replies = Number(item?.replies ?? 0);
+    const history = Array.isArray(snapshots[id]) ? snapshots[id] : [];
+    if (history.at(-1)?.[1] !== replies) history.push([now, replies]);
+    snapshots[id] = history;
+  }
+
+  const cutoff = now - CONFIG.replySnapshotDays * 24 * 60 * 60;
+  for (const [id, history] of Object.entries(snapshots)) {
+    const recent = history.findIndex(([at]) => at >= cutoff);
+    if (recent === -1 && !seen.has(Number(id))) delete snapshots[id];
+    else snapshots[id] = history.slice(recent === -1 ? -1 : Math.max(0, recent - 1));
+  }
+  await writeJsonAtomic(REPLY_SNAPSHOTS_FILE, snapshots);
+  return Object.keys(snapshots).length;
+}
+
 function mergeTopicLists(a, b) {
   const map = new Map();
   for (const item of [...(a ?? []), ...(b ?? [])]) {
@@ -186,7 +329,7 @@ function topicFreshness(topic) {
 async function fetchAndPersistList(name, url, filePath, report) {
   const fallback = await readJson(filePath, []);
   try {
-    const data = await fetchJsonWithRetry(url);
+    const data = await client.fetchJson(url);
     await writeJsonAtomic(filePath, data);
     report.lists[name] = {
       status: "fetched",
@@ -206,16 +349,22 @@ async function fetchAndPersistList(name, url, filePath, report) {
   }
 }
 
-function decideRefreshTopic({ existingTopicDoc, listSnapshot, now, ttlMs }) {
-  if (!existingTopicDoc?.topic) return true;
+function decideRefreshTopic({ existingTopicDoc, listSnapshot, now, ttlMs, tombstoneRecheckMs }) {
+  const tombstone = existingTopicDoc?.meta?.tombstone;
+  if (tombstone) {
+    const checkedAt = Date.parse(tombstone.checked_at ?? "");
+    return !Number.isFinite(checkedAt) || now - checkedAt > tombstoneRecheckMs ? "tombstone_recheck" : null;
+  }
+  if (!existingTopicDoc?.topic) return "new";
   const prevFetchedAt = Date.parse(existingTopicDoc?.meta?.fetched_at ?? "");
-  if (!Number.isFinite(prevFetchedAt)) return true;
-  if (now - prevFetchedAt > ttlMs) return true;
+  if (!Number.isFinite(prevFetchedAt)) return "stale";
 
   const prev = existingTopicDoc?.meta?.list_snapshot ?? {};
   const sameReplies = Number(prev.replies ?? -1) === Number(listSnapshot.replies ?? -2);
   const sameTouched = Number(prev.last_modified ?? -1) === Number(listSnapshot.last_modified ?? -2);
-  return !(sameReplies && sameTouched);
+  if (!(sameReplies && sameTouched)) return "changed";
+  if (now - prevFetchedAt > ttlMs) return "stale";
+  return null;
 }
 
 function dedupeTopicIds(items) {
@@ -227,8 +376,15 @@ function dedupeTopicIds(items) {
   return [...set];
 }
 
-function snapshotFromLists(topicId, latest, hot) {
-  const hit = [...(latest ?? []), ...(hot ?? [])].find((t) => Number(t?.id) === Number(topicId));
+function findListItem(topicId, ...lists) {
+  for (const list of lists) {
+    const hit = (list ?? []).find((t) => Number(t?.id) === Number(topicId));
+    if (hit) return hit;
+  }
+  return null;
+}
+
+function snapshotFromListItem(topicId, hit) {
   return {
     id: Number(topicId),
     replies: Number(hit?.replies ?? 0),
@@ -236,109 +392,6 @@ function snapshotFromLists(topicId, latest, hot) {
   };
 }
 
-function shouldRefreshRepliesDoc(existingRepliesDoc, expectedCount) {
-  if (!existingRepliesDoc) return true;
-
-  const replyCount = Number(existingRepliesDoc?.meta?.reply_count ?? -1);
-  const totalCount = Number(existingRepliesDoc?.meta?.total_count ?? replyCount);
-  const fetchedCount = Number(existingRepliesDoc?.meta?.fetched_count ?? existingRepliesDoc?.replies?.length ?? 0);
-  const repliesLength = Array.isArray(existingRepliesDoc?.replies) ? existingRepliesDoc.replies.length : 0;
-
-  if (replyCount !== Number(expectedCount)) return true;
-  if (existingRepliesDoc?.meta?.partial === true) return true;
-  if (fetchedCount < totalCount) return true;
-  if (repliesLength < totalCount) return true;
-
-  return false;
-}
-
-async function fetchTopic(topicId) {
-  const data = await fetchJsonWithRetry(endpoints.topicById(topicId));
-  if (!Array.isArray(data) || data.length === 0) return null;
-  return data[0];
-}
-
-async function fetchReplies(topicId, expectedCount = 0) {
-  const token = process.env.V2EX_TOKEN;
-  if (!token) {
-    const data = await fetchJsonWithRetry(endpoints.repliesByTopicIdAll(topicId));
-    return Array.isArray(data) ? data : [];
-  }
-
-  const all = [];
-  for (let p = 1; p <= 50; p += 1) {
-    const page = await fetchJsonWithRetry(endpoints.v2Replies(topicId, p), {
-      authToken: token
-    });
-    const items = Array.isArray(page?.result) ? page.result : Array.isArray(page) ? page : [];
-    if (!items.length) break;
-    all.push(...items);
-    if (items.length < 50) break;
-  }
-  if (all.length === 0 && expectedCount > 0) {
-    const data = await fetchJsonWithRetry(endpoints.repliesByTopicIdAll(topicId));
-    return Array.isArray(data) ? data : [];
-  }
-  return all;
-}
-
-async function fetchJsonWithRetry(url, options = {}) {
-  let lastError = null;
-  for (let i = 0; i < CONFIG.retries; i += 1) {
-    try {
-      await waitRateLimit();
-      const response = await fetch(url, {
-        headers: {
-          "User-Agent": "v2ex-mirror/0.1 (+https://github.com/)",
-          ...(options.authToken ? { Authorization: `Bearer ${options.authToken}` } : {})
-        }
-      });
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status} for ${url}`);
-      }
-      return await response.json();
-    } catch (error) {
-      lastError = error;
-      const backoff = CONFIG.intervalMs * (i + 1) * 2;
-      await sleep(backoff);
-    }
-  }
-  throw lastError ?? new Error(`Request failed: ${url}`);
-}
-
-async function waitRateLimit() {
-  const now = Date.now();
-  if (now < nextAllowedAt) {
-    await sleep(nextAllowedAt - now);
-  }
-  nextAllowedAt = Date.now() + CONFIG.intervalMs;
-}
-
-async function readJson(file, fallback) {
-  try {
-    const txt = await fs.readFile(file, "utf8");
-    return JSON.parse(txt);
-  } catch {
-    return fallback;
-  }
-}
-
-async function writeJsonAtomic(file, data) {
-  const dir = path.dirname(file);
-  await fs.mkdir(dir, { recursive: true });
-  const tmp = `${file}.tmp`;
-  await fs.writeFile(tmp, `${JSON.stringify(data, null, 2)}\n`, "utf8");
-  await fs.rename(tmp, file);
-}
-
-async function ensureDirs(dirs) {
-  await Promise.all(dirs.map((dir) => fs.mkdir(dir, { recursive: true })));
-}
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 main().catch((error) => {
   console.error(error);
   process.exitCode = 1;
@@ -0,0 +1,205 @@
+import { createHash } from "node:crypto";
+import dns from "node:dns/promises";
+import fs from "node:fs/promises";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import path from "node:path";
+import { readJson, writeJsonAtomic } from "./store.mjs";
+
+export const IMAGE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp"
+};
+
+// Relative image paths in rendered content point at V2EX itself.
+const CONTENT_BASE_URL = "https://www.v2ex.com/";
+const IMG_SRC_PATTERN = /<img\b[^>]*?\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/gi;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+// Loopback, private, link-local (cloud metadata), shared, reserved and
+// multicast ranges; image URLs come from user content and must not reach them.
+const NON_PUBLIC_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+  NON_PUBLIC_RANGES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["64:ff9b::", 96]]) {
+  NON_PUBLIC_RANGES.addSubnet(address, prefix, "ipv6");
+}
+
+export function normalizeAssetUrl(value, baseUrl = CONTENT_BASE_URL) {
+  const raw = String(value ?? "")
+    .trim()
+    .replaceAll("&amp;", "&");
+  if (!raw || raw.startsWith("#")) return null;
+  try {
+    const url = new URL(raw, baseUrl);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+export function extractImageUrls(html, baseUrl = CONTENT_BASE_URL) {
+  const urls = new Set();
+  for (const match of String(html ?? "").matchAll(IMG_SRC_PATTERN)) {
+    const normalized = normalizeAssetUrl(match[1] ?? match[2] ?? match[3], baseUrl);
+    if (normalized) urls.add(normalized);
+  }
+  return [...urls];
+}
+
+// Type checks go by the file signature; the Content-Type header alone is not
+// trusted because hosts regularly mislabel or fake it.
+export function detectImageType(buffer) {
+  const starts = (bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+  if (starts([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (starts([0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (starts([0x47, 0x49, 0x46, 0x38])) return "image/gif";
+  if (starts([0x52, 0x49, 0x46, 0x46]) && starts([0x57, 0x45, 0x42, 0x50], 8)) return "image/webp";
+  return null;
+}
+
+export function createAssetStore(dir) {
+  const indexFile = path.join(dir, "index.json");
+  let index = null;
+
+  async function load() {
+    index ??= await readJson(indexFile, null);
+    if (!index?.assets) index = { assets: {}, failures: {} };
+    index.failures ??= {};
+    return index;
+  }
+
+  const fileFor = (entry) => path.join(dir, "files", entry.hash.slice(0, 2), `${entry.hash}.${entry.ext}`);
+
+  async function put(url, buffer, type, topicIds) {
+    const hash = createHash("sha256").update(buffer).digest("hex");
+    const entry = { hash, ext: IMAGE_EXTENSIONS[type], type, size: buffer.length, fetched_at: new Date().toISOString(), topic_ids: topicIds };
+    const file = fileFor(entry);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    index.assets[url] = entry;
+    delete index.failures[url];
+    return entry;
+  }
+
+  function fail(url, reason) {
+    const previous = index.failures[url];
+    index.failures[url] = { reason, attempts: Number(previous?.attempts ?? 0) + 1, checked_at: new Date().toISOString() };
+  }
+
+  async function save() {
+    if (!index) return;
+    index.updated_at = new Date().toISOString();
+    await writeJsonAtomic(indexFile, index);
+  }
+
+  return { load, put, fail, save, fileFor };
+}
+
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 only turns up in URLs written to dodge the IPv4 ranges.
+  if (/^::ffff:/i.test(address)) return false;
+  const type = net.isIP(address);
+  return type !== 0 && !NON_PUBLIC_RANGES.check(address, type === 4 ? "ipv4" : "ipv6");
+}
+
+// Every address the host resolves to has to be public, and the connection is
+// made to the addresses that were checked, so a second DNS answer cannot point
+// it elsewhere. Redirects are followed by hand so that each hop is checked the
+// same way. With fetchBase all requests go to that service instead, so the
+// image hosts are never contacted.
+export async function downloadImage(url, { fetchBase = "", maxBytes, timeoutMs = 30000 }) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  const headers = { "User-Agent": "Mozilla/5.0 (compatible; v2ex-mirror/0.1; +https://github.com/)", Accept: "image/*" };
+  let response;
+  if (fetchBase) {
+    const parsed = new URL(url);
+    response = await fetch(`${fetchBase.replace(/\/+$/, "")}/${parsed.host}${parsed.pathname}${parsed.search}`, { headers, signal });
+  } else {
+    let current = url;
+    for (let hop = 0; ; hop += 1) {
+      response = await requestPublic(current, { headers, signal });
+      if (!REDIRECT_STATUSES.has(response.status)) break;
+      response.body.destroy();
+      const location = response.headers.get("location");
+      const next = location && hop < MAX_REDIRECTS ? normalizeAssetUrl(location, current) : null;
+      if (!next) throw assetError("bad_redirect", `Unfollowed redirect for ${url}`);
+      current = next;
+    }
+  }
+  if (!response.ok) throw assetError(`http_${response.status}`, `HTTP ${response.status} for ${url}`);
+
+  const declaredType = String(response.headers.get("content-type") ?? "").split(";")[0].trim().toLowerCase();
+  if (declaredType && !IMAGE_EXTENSIONS[declaredType] && declaredType !== "application/octet-stream") {
+    throw assetError("bad_type", `Unsupported content type ${declaredType} for ${url}`);
+  }
+  if (Number(response.headers.get("content-length") ?? 0) > maxBytes) {
+    throw assetError("too_large", `Asset larger than ${maxBytes} bytes: ${url}`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) throw assetError("too_large", `Asset larger than ${maxBytes} bytes: ${url}`);
+    chunks.push(chunk);
+  }
+  const buffer = Buffer.concat(chunks);
+  const type = detectImageType(buffer);
+  if (!type) throw assetError("bad_type", `Not a supported image: ${url}`);
+  return { buffer, type };
+}
+
+// A single GET whose socket can only connect to public addresses. The answer
+// mirrors the parts of a fetch Response that downloadImage reads.
+function requestPublic(url, { headers, signal }) {
+  const parsed = new URL(url);
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    return Promise.reject(assetError("private_host", `Refusing to fetch from non-public host ${parsed.hostname}`));
+  }
+  const transport = parsed.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.get(parsed, { headers, signal, lookup: publicLookup }, (res) => {
+      const responseHeaders = new Headers();
+      for (const [name, value] of Object.entries(res.headers)) {
+        for (const item of [].concat(value)) responseHeaders.append(name, item);
+      }
+      resolve({ status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300, headers: responseHeaders, body: res });
+    });
+    request.on("error", reject);
+  });
+}
+
+function publicLookup(hostname, options, callback) {
+  resolvePublicHost(hostname).then(
+    (entries) => (options.all ? callback(null, entries) : callback(null, entries[0].address, entries[0].family)),
+    (error) => callback(error)
+  );
+}
+
+async function resolvePublicHost(hostname) {
+  let entries;
+  try {
+    entries = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    throw assetError("dns", `Cannot resolve ${hostname}`);
+  }
+  if (!entries.length || !entries.every((entry) => isPublicAddress(entry.address))) {
+    throw assetError("private_host", `Refusing to fetch from non-public host ${hostname}`);
+  }
+  return entries;
+}
+
+function assetError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,153 @@
+import { createRateLimiter, isCircuitOpenError } from "./limiter.mjs";
+
+export const DEFAULT_API_BASE = "https://www.v2ex.com/api";
+export const API_LAYOUTS = ["v1", "static"];
+// V2EX also answers throttled requests with 403, so a 403 only means the topic
+// sits behind the login wall when the body says so.
+const LOGIN_WALL_PATTERN = /\/signin|需要登录|登录后|login required|requires? (?:a )?login/i;
+
+export function createV2exClient({
+  baseUrl = process.env.V2EX_API_BASE ?? DEFAULT_API_BASE,
+  token = process.env.V2EX_TOKEN,
+  layout = process.env.V2EX_API_LAYOUT || "v1",
+  limiter = createRateLimiter(),
+  retries = 3
+} = {}) {
+  const base = String(baseUrl || DEFAULT_API_BASE).replace(/\/+$/, "");
+  if (!API_LAYOUTS.includes(layout)) throw new Error(`Unknown V2EX_API_LAYOUT: ${layout}`);
+  const endpoints = layout === "static" ? createStaticEndpoints(base) : createEndpoints(base);
+
+  async function fetchJsonWithRetry(url, options = {}) {
+    let lastError = null;
+    for (let i = 0; i < retries; i += 1) {
+      try {
+        await limiter.wait();
+        const response = await fetch(url, {
+          headers: {
+            "User-Agent": "Mozilla/5.0 (compatible; v2ex-mirror/0.1; +https://github.com/)",
+            Accept: "application/json,text/plain,*/*",
+            Referer: "https://www.v2ex.com/",
+            ...(options.authToken ? { Authorization: `Bearer ${options.authToken}` } : {})
+          }
+        });
+        if (response.status === 403 && LOGIN_WALL_PATTERN.test(await response.text().catch(() => ""))) {
+          // An answer about the topic, not a refusal, so the limiter does not count it.
+          throw httpError(url, response.status, { loginRequired: true });
+        }
+        limiter.observe(response);
+        if (!response.ok) throw httpError(url, response.status);
+        return await response.json();
+      } catch (error) {
+        if (isCircuitOpenError(error)) throw error;
+        lastError = error;
+        if (isGoneError(error) || error?.loginRequired) throw error;
+        await sleep(limiter.backoff(i));
+      }
+    }
+    throw lastError ?? new Error(`Request failed: ${url}`);
+  }
+
+  async function fetchTopic(topicId) {
+    const data = await fetchJsonWithRetry(endpoints.topicById(topicId));
+    if (!Array.isArray(data) || data.length === 0) {
+      const error = new Error(`Empty topic payload for ${topicId}`);
+      error.code = "TOPIC_EMPTY";
+      throw error;
+    }
+    return data[0];
+  }
+
+  async function fetchMember(username) {
+    const data = await fetchJsonWithRetry(endpoints.memberByName(username));
+    return data?.username ? data : null;
+  }
+
+  async function fetchRepliesV1(topicId) {
+    try {
+      const data = await fetchJsonWithRetry(endpoints.repliesByTopicIdAll(topicId));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      if (isGoneError(error)) return [];
+      throw error;
+    }
+  }
+
+  async function fetchReplies(topicId, expectedCount = 0) {
+    if (!token || layout === "static") return fetchRepliesV1(topicId);
+
+    const all = [];
+    for (let p = 1; p <= 50; p += 1) {
+      const page = await fetchJsonWithRetry(endpoints.v2Replies(topicId, p), {
+        authToken: token
+      });
+      const items = Array.isArray(page?.result) ? page.result : Array.isArray(page) ? page : [];
+      if (!items.length) break;
+      all.push(...items);
+      if (items.length < 50) break;
+    }
+    if (all.length === 0 && expectedCount > 0) return fetchRepliesV1(topicId);
+    return all;
+  }
+
+  return {
+    baseUrl: base,
+    layout,
+    endpoints,
+    fetchJson: fetchJsonWithRetry,
+    fetchTopic,
+    fetchReplies,
+    fetchMember
+  };
+}
+
+export function isGoneError(error) {
+  return error?.statusCode === 404 || error?.statusCode === 410;
+}
+
+// A plain 403 is left to the limiter and never tombstones a topic.
+export function tombstoneState(error) {
+  if (error?.code === "TOPIC_EMPTY") return "hidden";
+  if (error?.statusCode === 403 && error.loginRequired) return "login_required";
+  if (error?.statusCode === 404 || error?.statusCode === 410) return "deleted";
+  return null;
+}
+
+function httpError(url, status, extra = {}) {
+  const error = new Error(`HTTP ${status} for ${url}`);
+  error.statusCode = status;
+  return Object.assign(error, extra);
+}
+
+function createEndpoints(base) {
+  return {
+    latest: `${base}/topics/latest.json`,
+    hot: `${base}/topics/hot.json`,
+    nodes: `${base}/nodes/all.json`,
+    nodeTopics: (nodeName, p) => `${base}/topics/show.json?node_name=${encodeURIComponent(nodeName)}&p=${p}`,
+    topicById: (id) => `${base}/topics/show.json?id=${id}`,
+    repliesByTopicId: (id) => `${base}/replies/show.json?topic_id=${id}`,
+    repliesByTopicIdAll: (id) => `${base}/replies/show.json?topic_id=${id}&p=1`,
+    v2Replies: (id, p) => `${base}/v2/topics/${id}/replies?p=${p}`,
+    memberByName: (username) => `${base}/members/show.json?username=${encodeURIComponent(username)}`
+  };
+}
+
+// Path-only endpoints served by another mirror's static JSON API (see
+// scripts/build/api.mjs); payloads have the same shape as the v1 endpoints.
+function createStaticEndpoints(base) {
+  return {
+    latest: `${base}/topics/latest.json`,
+    hot: `${base}/topics/hot.json`,
+    nodes: `${base}/nodes/all.json`,
+    nodeTopics: (nodeName, p) => `${base}/nodes/${encodeURIComponent(nodeName)}/topics/${p}.json`,
+    topicById: (id) => `${base}/topics/${id}.json`,
+    repliesByTopicId: (id) => `${base}/replies/${id}.json`,
+    repliesByTopicIdAll: (id) => `${base}/replies/${id}.json`,
+    v2Replies: (id) => `${base}/replies/${id}.json`,
+    memberByName: (username) => `${base}/members/${encodeURIComponent(username)}.json`
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,22 @@
+const UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+export function createDeadline(budget, startedAt = Date.now()) {
+  const budgetMs = parseDuration(budget);
+  const deadlineAt = budgetMs === null ? null : startedAt + budgetMs;
+  return {
+    budgetMs,
+    deadlineAt,
+    expired: () => deadlineAt !== null && Date.now() >= deadlineAt,
+    remainingMs: () => (deadlineAt === null ? Infinity : Math.max(0, deadlineAt - Date.now()))
+  };
+}
+
+export function parseDuration(value) {
+  const match = String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/);
+  if (!match) return null;
+  const ms = Number(match[1]) * UNIT_MS[match[2] ?? "s"];
+  return ms > 0 ? ms : null;
+}
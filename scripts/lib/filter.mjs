@@ -0,0 +1,118 @@
+import fs from "node:fs/promises";
+
+// Content policy read from filter.json (or FILTER_FILE). The sync and the
+// backfill skip fetching filtered topics; the build leaves topics that are
+// already stored out of every page, feed, sitemap and API file:
+//
+//   {
+//     "nodes": ["..."],      whole nodes
+//     "members": ["..."],    topics and replies by these members
+//     "keywords": ["..."],   topics whose title, body or supplements match
+//     "topics": [123],       single topics by id
+//     "replies": { "members": ["..."], "keywords": ["..."] }   single replies
+//   }
+//
+// Keywords match as case-insensitive text, or as a regular expression when
+// written "/pattern/flags", against the visible text of rendered HTML rather
+// than its markup. Without the file nothing is filtered.
+export const DEFAULT_FILTER_FILE = "filter.json";
+
+export async function loadContentFilter(file = process.env.FILTER_FILE || DEFAULT_FILTER_FILE) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (error) {
+    if (error?.code === "ENOENT") return createContentFilter(null);
+    throw error;
+  }
+  let policy;
+  try {
+    policy = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid filter policy ${file}: ${error.message}`);
+  }
+  return createContentFilter(policy, file);
+}
+
+export function createContentFilter(policy, source = "filter policy") {
+  const fail = (message) => new Error(`Invalid filter policy ${source}: ${message}`);
+  if (policy !== null && (typeof policy !== "object" || Array.isArray(policy))) throw fail("expected a JSON object");
+  const list = (value, name) => {
+    if (value == null) return [];
+    if (!Array.isArray(value)) throw fail(`"${name}" must be an array`);
+    return value;
+  };
+  const names = (value, name) => new Set(list(value, name).map((item) => String(item).toLowerCase()));
+
+  const rules = policy ?? {};
+  const nodes = names(rules.nodes, "nodes");
+  const members = names(rules.members, "members");
+  const topicIds = new Set(list(rules.topics, "topics").map(Number));
+  const keywords = compileKeywords(list(rules.keywords, "keywords"), fail);
+  const replyMembers = names(rules.replies?.members, "replies.members");
+  const replyKeywords = compileKeywords(list(rules.replies?.keywords, "replies.keywords"), fail);
+  const active = [nodes, members, topicIds, replyMembers].some((set) => set.size > 0) || keywords.length > 0 || replyKeywords.length > 0;
+  const author = (item) => String(item?.member?.username ?? "").toLowerCase();
+
+  function nodeFiltered(name) {
+    return nodes.has(String(name ?? "").toLowerCase());
+  }
+
+  // Why a topic is filtered: "topic", "node", "member" or "keyword"; null when it is not.
+  function topicReason(topic) {
+    if (!topic) return null;
+    if (topicIds.has(Number(topic.id))) return "topic";
+    if (topic.node?.name && nodeFiltered(topic.node.name)) return "node";
+    if (members.has(author(topic))) return "member";
+    const supplements = Array.isArray(topic.supplements) ? topic.supplements : [];
+    const texts = [topic.title, topic.content, htmlText(topic.content_rendered), ...supplements.flatMap((item) => [item?.content, htmlText(item?.content_rendered)])];
+    return matches(keywords, texts) ? "keyword" : null;
+  }
+
+  function replyReason(reply) {
+    if (!reply) return null;
+    if (members.has(author(reply)) || replyMembers.has(author(reply))) return "member";
+    return matches(replyKeywords, [reply.content, htmlText(reply.content_rendered)]) ? "keyword" : null;
+  }
+
+  return { active, source: policy === null ? null : source, policy: rules, nodeFiltered, topicReason, replyReason };
+}
+
+function compileKeywords(values, fail) {
+  return values
+    .map((value) => String(value ?? ""))
+    .filter((value) => value.trim())
+    .map((value) => {
+      const regex = value.match(/^\/(.+)\/([a-z]*)$/s);
+      if (!regex) {
+        const needle = value.toLowerCase();
+        return (text) => text.toLowerCase().includes(needle);
+      }
+      let pattern;
+      try {
+        // Without g and y, test() keeps no lastIndex from one topic to the next.
+        pattern = new RegExp(regex[1], regex[2].replace(/[gy]/g, ""));
+      } catch (error) {
+        throw fail(`keyword ${value}: ${error.message}`);
+      }
+      return (text) => pattern.test(text);
+    });
+}
+
+function htmlText(html) {
+  if (html == null) return null;
+  return String(html)
+    .replace(/<[^>]*>/g, " ")
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&#39;", "'")
+    .replaceAll("&nbsp;", " ")
+    .replaceAll("&amp;", "&");
+}
+
+function matches(tests, fields) {
+  if (!tests.length) return false;
+  const texts = fields.filter((field) => field != null && field !== "").map(String);
+  return tests.some((test) => texts.some(test));
+}
@@ -0,0 +1,111 @@
+export function createRateLimiter({
+  intervalMs = 350,
+  maxIntervalMs = 30000,
+  maxRetryAfterMs = 120000,
+  breakerThreshold = 8
+} = {}) {
+  const baseInterval = Math.max(0, Number(intervalMs) || 0);
+  let currentInterval = baseInterval;
+  let nextAllowedAt = 0;
+  let consecutiveRefusals = 0;
+  let trippedReason = null;
+
+  function trip(reason) {
+    if (!trippedReason) {
+      trippedReason = reason;
+      console.error(`[limiter] circuit breaker open: ${reason}`);
+    }
+  }
+
+  function pauseUntil(ts) {
+    if (Number.isFinite(ts) && ts > nextAllowedAt) nextAllowedAt = ts;
+  }
+
+  return {
+    get interval() {
+      return currentInterval;
+    },
+
+    get tripped() {
+      return trippedReason !== null;
+    },
+
+    get reason() {
+      return trippedReason;
+    },
+
+    async wait() {
+      if (trippedReason) throw circuitOpenError(trippedReason);
+      const now = Date.now();
+      const slot = Math.max(now, nextAllowedAt);
+      nextAllowedAt = slot + currentInterval;
+      if (slot > now) await sleep(slot - now);
+      if (trippedReason) throw circuitOpenError(trippedReason);
+    },
+
+    observe(response) {
+      const status = Number(response?.status ?? 0);
+      const headers = response?.headers;
+      const retryAfterMs = parseRetryAfter(headers?.get?.("retry-after"));
+
+      if (retryAfterMs !== null && retryAfterMs > maxRetryAfterMs) {
+        trip(`Retry-After ${Math.round(retryAfterMs / 1000)}s exceeds limit (HTTP ${status})`);
+        return;
+      }
+      if (retryAfterMs !== null) pauseUntil(Date.now() + retryAfterMs);
+
+      const remaining = Number(headers?.get?.("x-rate-limit-remaining") ?? NaN);
+      const resetAt = Number(headers?.get?.("x-rate-limit-reset") ?? NaN) * 1000;
+      if (Number.isFinite(remaining) && remaining <= 0 && Number.isFinite(resetAt)) {
+        if (resetAt - Date.now() > maxRetryAfterMs) {
+          trip(`rate limit exhausted until ${new Date(resetAt).toISOString()}`);
+          return;
+        }
+        pauseUntil(resetAt);
+      }
+
+      if (status === 429 || status === 403) {
+        consecutiveRefusals += 1;
+        currentInterval = Math.min(maxIntervalMs, Math.max(currentInterval * 2, baseInterval, 500));
+        if (consecutiveRefusals >= breakerThreshold) {
+          trip(`${consecutiveRefusals} consecutive HTTP ${status} responses`);
+        }
+        return;
+      }
+
+      if (response?.ok) {
+        consecutiveRefusals = 0;
+        if (currentInterval > baseInterval) {
+          currentInterval = Math.max(baseInterval, Math.floor(currentInterval * 0.8));
+        }
+      }
+    },
+
+    backoff(attempt) {
+      return currentInterval * (attempt + 1) * 2 + Math.floor(Math.random() * 200);
+    }
+  };
+}
+
+export function isCircuitOpenError(error) {
+  return error?.code === "CIRCUIT_OPEN";
+}
+
+function circuitOpenError(reason) {
+  const error = new Error(`Circuit breaker open: ${reason}`);
+  error.code = "CIRCUIT_OPEN";
+  return error;
+}
+
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isFinite(date)) return Math.max(0, date - Date.now());
+  return null;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,66 @@
+import { isGoneError } from "./client.mjs";
+import { isCircuitOpenError } from "./limiter.mjs";
+
+const MEMBER_FIELDS = ["id", "username", "url", "website", "twitter", "psn", "github", "btc", "location", "tagline", "bio", "avatar_mini", "avatar_normal", "avatar_large", "created"];
+
+export function collectMembers(topic, replies) {
+  const map = new Map();
+  for (const member of [topic?.member, ...(Array.isArray(replies) ? replies : []).map((reply) => reply?.member)]) {
+    const username = member?.username;
+    if (!username) continue;
+    const key = username.toLowerCase();
+    map.set(key, { ...(map.get(key) ?? {}), ...pickMemberFields(member) });
+  }
+  return [...map.values()];
+}
+
+export async function syncMembers({ store, client, members, fetchProfiles = false, profileTtlMs = 0 }) {
+  const result = { updated: 0, profiles: 0 };
+  const now = Date.now();
+
+  for (const member of members) {
+    const existing = await store.readMemberDoc(member.username);
+    const profileFetchedAt = Date.parse(existing?.meta?.profile_fetched_at ?? "");
+    const profileStale = !Number.isFinite(profileFetchedAt) || now - profileFetchedAt > profileTtlMs;
+    let profile = existing?.profile ?? null;
+    let profileFetched = false;
+
+    if (fetchProfiles && profileStale) {
+      try {
+        profile = pickMemberFields((await client.fetchMember(member.username)) ?? {});
+        profileFetched = true;
+        result.profiles += 1;
+      } catch (error) {
+        if (isCircuitOpenError(error)) throw error;
+        if (isGoneError(error)) profileFetched = true;
+        else console.error(`[member ${member.username}] ${error.message ?? error}`);
+      }
+    }
+
+    const merged = { ...(existing?.member ?? {}), ...member };
+    const changed = profileFetched || JSON.stringify(merged) !== JSON.stringify(existing?.member ?? null);
+    if (!changed) continue;
+
+    const nowIso = new Date().toISOString();
+    await store.writeMemberDoc(member.username, {
+      member: merged,
+      profile,
+      meta: {
+        first_seen_at: existing?.meta?.first_seen_at ?? nowIso,
+        updated_at: nowIso,
+        profile_fetched_at: profileFetched ? nowIso : existing?.meta?.profile_fetched_at ?? null
+      }
+    });
+    result.updated += 1;
+  }
+
+  return result;
+}
+
+function pickMemberFields(member) {
+  const picked = {};
+  for (const field of MEMBER_FIELDS) {
+    if (member?.[field] !== undefined && member[field] !== null && member[field] !== "") picked[field] = member[field];
+  }
+  return picked;
+}
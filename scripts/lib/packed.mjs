@@ -0,0 +1,259 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const INDEX_FILE = "index.json";
+const DEFAULT_SEGMENT_BYTES = 64 * 1024 * 1024;
+const COMPACT_MIN_DEAD_BYTES = 16 * 1024 * 1024;
+
+export function createPackedCollection(dir, { segmentBytes = DEFAULT_SEGMENT_BYTES } = {}) {
+  let state = null;
+  let loading = null;
+  let queue = Promise.resolve();
+  let dirty = false;
+
+  function load() {
+    if (state) return Promise.resolve(state);
+    loading ??= loadState(dir).then((loaded) => {
+      state = loaded;
+      dirty = loaded.rebuilt;
+      return state;
+    });
+    return loading;
+  }
+
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function get(id) {
+    const s = await load();
+    const entry = s.index.get(String(id));
+    if (!entry) return null;
+    const handle = await fs.open(path.join(dir, entry.segment), "r");
+    try {
+      const buffer = Buffer.alloc(entry.length);
+      await handle.read(buffer, 0, entry.length, entry.offset);
+      return JSON.parse(buffer.toString("utf8")).doc ?? null;
+    } catch {
+      return null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  function put(id, doc) {
+    return enqueue(async () => {
+      const s = await load();
+      const line = Buffer.from(`${JSON.stringify({ id, doc })}\n`, "utf8");
+      let segment = s.segments.at(-1);
+      if (!segment || (segment.size > 0 && segment.size + line.length > segmentBytes)) {
+        segment = { name: segmentName(segment ? segmentNumber(segment.name) + 1 : 0), size: 0 };
+        s.segments.push(segment);
+      }
+      await fs.mkdir(dir, { recursive: true });
+      await fs.appendFile(path.join(dir, segment.name), line);
+
+      const key = String(id);
+      const previous = s.index.get(key);
+      if (previous) s.deadBytes += previous.length;
+      s.index.set(key, { segment: segment.name, offset: segment.size, length: line.length });
+      segment.size += line.length;
+      dirty = true;
+    });
+  }
+
+  async function version(id) {
+    const s = await load();
+    const entry = s.index.get(String(id));
+    return entry ? `${entry.segment}:${entry.offset}:${entry.length}` : null;
+  }
+
+  async function ids() {
+    const s = await load();
+    return [...s.index.keys()];
+  }
+
+  async function* entries() {
+    const s = await load();
+    const bySegment = new Map();
+    for (const [key, entry] of s.index.entries()) {
+      if (!bySegment.has(entry.segment)) bySegment.set(entry.segment, []);
+      bySegment.get(entry.segment).push([key, entry]);
+    }
+    for (const segment of s.segments) {
+      const items = bySegment.get(segment.name);
+      if (!items) continue;
+      const buffer = await fs.readFile(path.join(dir, segment.name));
+      for (const [key, entry] of items.sort((a, b) => a[1].offset - b[1].offset)) {
+        try {
+          const record = JSON.parse(buffer.subarray(entry.offset, entry.offset + entry.length).toString("utf8"));
+          yield { id: key, doc: record.doc };
+        } catch {
+          continue;
+        }
+      }
+    }
+  }
+
+  // The live directory is only renamed aside, never deleted, until the compacted
+  // copy has taken its place; loadState() recovers from a crash in between.
+  async function compact() {
+    await queue;
+    const s = await load();
+    const tmpDir = `${dir}.tmp`;
+    const oldDir = `${dir}.old`;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    const next = createPackedCollection(tmpDir, { segmentBytes });
+    for await (const { id, doc } of entries()) {
+      await next.put(id, doc);
+    }
+    await next.flush({ compact: false });
+    await fs.mkdir(tmpDir, { recursive: true });
+    await fs.rm(oldDir, { recursive: true, force: true });
+    await fs.mkdir(dir, { recursive: true });
+    await fs.rename(dir, oldDir);
+    await fs.rename(tmpDir, dir);
+    await fs.rm(oldDir, { recursive: true, force: true });
+    state = null;
+    loading = null;
+    dirty = false;
+    return { entries: s.index.size, reclaimedBytes: s.deadBytes };
+  }
+
+  async function flush({ compact: allowCompact = true } = {}) {
+    await queue;
+    if (!state) return;
+    const liveBytes = state.segments.reduce((sum, segment) => sum + segment.size, 0) - state.deadBytes;
+    if (allowCompact && state.deadBytes >= COMPACT_MIN_DEAD_BYTES && state.deadBytes > liveBytes) {
+      await compact();
+      return;
+    }
+    if (!dirty) return;
+    await writeIndex(dir, state);
+    dirty = false;
+  }
+
+  return { get, put, version, ids, entries, flush, compact };
+}
+
+async function loadState(dir) {
+  await recoverCompaction(dir);
+  const segments = await listSegments(dir);
+  const saved = await readIndex(dir);
+  const consistent =
+    saved &&
+    saved.segments.length === segments.length &&
+    saved.segments.every((segment, i) => segment.name === segments[i].name && segment.size === segments[i].size);
+
+  if (consistent) {
+    return {
+      segments,
+      index: new Map(Object.entries(saved.entries).map(([key, [s, offset, length]]) => [key, { segment: segments[s].name, offset, length }])),
+      deadBytes: Number(saved.dead_bytes ?? 0),
+      rebuilt: false
+    };
+  }
+  return rebuildState(dir, segments);
+}
+
+// A compaction that stopped before renaming the live directory aside leaves it
+// in place with a partial *.tmp copy; one that stopped after leaves only the
+// *.old directory, which still holds every entry.
+async function recoverCompaction(dir) {
+  const oldDir = `${dir}.old`;
+  if (!(await exists(dir)) && (await exists(oldDir))) await fs.rename(oldDir, dir);
+  await fs.rm(`${dir}.tmp`, { recursive: true, force: true });
+  await fs.rm(oldDir, { recursive: true, force: true });
+}
+
+async function rebuildState(dir, segments) {
+  const index = new Map();
+  let deadBytes = 0;
+  for (const segment of segments) {
+    let buffer = await fs.readFile(path.join(dir, segment.name));
+    if (buffer.length > 0 && buffer[buffer.length - 1] !== 0x0a) {
+      const complete = buffer.lastIndexOf(0x0a) + 1;
+      await fs.truncate(path.join(dir, segment.name), complete);
+      buffer = buffer.subarray(0, complete);
+      segment.size = complete;
+    }
+    let offset = 0;
+    while (offset < buffer.length) {
+      let end = buffer.indexOf(0x0a, offset);
+      if (end === -1) end = buffer.length - 1;
+      const length = end - offset + 1;
+      try {
+        const record = JSON.parse(buffer.subarray(offset, end + 1).toString("utf8"));
+        const key = String(record.id);
+        const previous = index.get(key);
+        if (previous) deadBytes += previous.length;
+        index.set(key, { segment: segment.name, offset, length });
+      } catch {
+        deadBytes += length;
+      }
+      offset = end + 1;
+    }
+  }
+  return { segments, index, deadBytes, rebuilt: segments.length > 0 };
+}
+
+async function listSegments(dir) {
+  let names = [];
+  try {
+    names = (await fs.readdir(dir)).filter((name) => /^seg-\d+\.ndjson$/.test(name)).sort();
+  } catch {
+    return [];
+  }
+  const segments = [];
+  for (const name of names) {
+    const stat = await fs.stat(path.join(dir, name));
+    segments.push({ name, size: stat.size });
+  }
+  return segments;
+}
+
+async function readIndex(dir) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(path.join(dir, INDEX_FILE), "utf8"));
+    return Array.isArray(parsed?.segments) && parsed?.entries ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+async function writeIndex(dir, state) {
+  const segmentPos = new Map(state.segments.map((segment, i) => [segment.name, i]));
+  const entries = {};
+  for (const [key, entry] of state.index.entries()) {
+    entries[key] = [segmentPos.get(entry.segment), entry.offset, entry.length];
+  }
+  const data = {
+    updated_at: new Date().toISOString(),
+    segments: state.segments,
+    dead_bytes: state.deadBytes,
+    entries
+  };
+  await fs.mkdir(dir, { recursive: true });
+  const tmp = path.join(dir, `${INDEX_FILE}.${process.pid}.tmp`);
+  await fs.writeFile(tmp, JSON.stringify(data), "utf8");
+  await fs.rename(tmp, path.join(dir, INDEX_FILE));
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function segmentNumber(name) {
+  return Number(name.match(/\d+/)?.[0] ?? 0);
+}
+
+function segmentName(n) {
+  return `seg-${String(n).padStart(6, "0")}.ndjson`;
+}
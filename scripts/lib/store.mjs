@@ -0,0 +1,240 @@
+import { existsSync } from "node:fs";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createPackedCollection } from "./packed.mjs";
+
+export const DEFAULT_DATA_DIR = path.join(process.cwd(), "data");
+export const STORAGE_BACKENDS = ["files", "packed"];
+// Written into data/packed/ once storage:migrate has copied everything, so an
+// interrupted migration leaves the runs on the complete file store.
+export const PACKED_MARKER_FILE = "migrated.json";
+const REVISION_FIELDS = ["title", "content", "supplements"];
+let tmpCounter = 0;
+
+export function createDataStore({ dataDir = process.env.DATA_DIR ?? DEFAULT_DATA_DIR, backend = process.env.DATA_STORE } = {}) {
+  const root = path.resolve(dataDir);
+  const dirs = {
+    root,
+    index: path.join(root, "index"),
+    nodes: path.join(root, "nodes"),
+    topics: path.join(root, "topics"),
+    replies: path.join(root, "replies"),
+    packed: path.join(root, "packed"),
+    revisions: path.join(root, "revisions"),
+    members: path.join(root, "members"),
+    assets: path.join(root, "assets"),
+    meta: path.join(root, "meta")
+  };
+
+  const backendName = backend || (existsSync(path.join(dirs.packed, PACKED_MARKER_FILE)) ? "packed" : "files");
+  if (!STORAGE_BACKENDS.includes(backendName)) {
+    throw new Error(`Unknown DATA_STORE backend: ${backendName}`);
+  }
+  const collections =
+    backendName === "packed"
+      ? {
+          topics: createPackedCollection(path.join(dirs.packed, "topics")),
+          replies: createPackedCollection(path.join(dirs.packed, "replies"))
+        }
+      : {
+          topics: createFileCollection(dirs.topics),
+          replies: createFileCollection(dirs.replies)
+        };
+
+  const revisionsFile = (id) => path.join(dirs.revisions, `${id}.json`);
+  const memberFile = (username) => path.join(dirs.members, `${memberKey(username)}.json`);
+
+  return {
+    dirs,
+    backend: backendName,
+    collections,
+    ensureDirs: () => ensureDirs(Object.values(dirs).filter((dir) => dir !== dirs.packed || backendName === "packed")),
+    flush: async () => {
+      await collections.topics.flush();
+      await collections.replies.flush();
+    },
+    readTopicDoc: (id) => collections.topics.get(id),
+    writeTopicDoc: (id, doc) => collections.topics.put(Number(id), doc),
+    readRepliesDoc: (id) => collections.replies.get(id),
+    repliesVersion: (id) => collections.replies.version(id),
+    writeRepliesDoc: (id, doc) => collections.replies.put(Number(id), doc),
+    listTopicDocs: async () => {
+      const docs = [];
+      for await (const { doc } of collections.topics.entries()) {
+        if (doc) docs.push(doc);
+      }
+      return docs;
+    },
+    readRevisionsDoc: (id) => readJson(revisionsFile(id), null),
+    revisionsVersion: (id) => fileVersion(revisionsFile(id)),
+    appendTopicRevision: async (id, previousDoc) => {
+      const doc = (await readJson(revisionsFile(id), null)) ?? { topic_id: Number(id), revisions: [] };
+      doc.revisions.push(createRevision(previousDoc));
+      await writeJsonAtomic(revisionsFile(id), doc);
+      return doc;
+    },
+    readMemberDoc: (username) => readJson(memberFile(username), null),
+    writeMemberDoc: (username, doc) => writeJsonAtomic(memberFile(username), doc),
+    listMemberDocs: () => readJsonDir(dirs.members),
+    listRepliesIds: async () => toIds(await collections.replies.ids()),
+    listTopicIds: async () => toIds(await collections.topics.ids())
+  };
+}
+
+function createFileCollection(dir) {
+  const file = (id) => path.join(dir, `${id}.json`);
+  return {
+    get: (id) => readJson(file(id), null),
+    put: (id, doc) => writeJsonAtomic(file(id), doc),
+    ids: () => listIds(dir),
+    version: (id) => fileVersion(file(id)),
+    async *entries() {
+      for (const id of await listIds(dir)) {
+        const doc = await readJson(file(id), null);
+        if (doc) yield { id, doc };
+      }
+    },
+    flush: async () => {}
+  };
+}
+
+export function createRepliesDoc({ replies, source, totalCount, extraMeta = {} }) {
+  const list = Array.isArray(replies) ? replies : [];
+  const total = Number(totalCount ?? list.length);
+  return {
+    replies: list,
+    meta: {
+      fetched_at: new Date().toISOString(),
+      source,
+      reply_count: total,
+      total_count: total,
+      fetched_count: list.length,
+      partial: list.length < total,
+      ...extraMeta
+    }
+  };
+}
+
+export function topicRevisionChanged(previousTopic, nextTopic) {
+  if (!previousTopic || !nextTopic) return false;
+  return REVISION_FIELDS.some((field) => {
+    if (nextTopic[field] === undefined) return false;
+    return JSON.stringify(previousTopic[field] ?? null) !== JSON.stringify(nextTopic[field] ?? null);
+  });
+}
+
+function createRevision(previousDoc) {
+  const topic = previousDoc?.topic ?? {};
+  return {
+    captured_at: new Date().toISOString(),
+    fetched_at: previousDoc?.meta?.fetched_at ?? null,
+    last_modified: topic.last_modified ?? null,
+    title: topic.title ?? "",
+    content: topic.content ?? "",
+    content_rendered: topic.content_rendered ?? null,
+    ...(topic.supplements ? { supplements: topic.supplements } : {})
+  };
+}
+
+export function createTombstoneDoc(existingDoc, { state, statusCode = null, fallbackTopic = null, topicId }) {
+  const now = new Date().toISOString();
+  const previous = existingDoc?.meta?.tombstone;
+  const topic = existingDoc?.topic ?? (fallbackTopic ? { ...fallbackTopic, id: Number(topicId) } : null);
+  return {
+    topic,
+    meta: {
+      ...(existingDoc?.meta ?? {}),
+      tombstone: {
+        state,
+        status_code: statusCode,
+        detected_at: previous?.detected_at ?? now,
+        checked_at: now
+      }
+    }
+  };
+}
+
+export function shouldRefreshRepliesDoc(existingRepliesDoc, expectedCount) {
+  if (!existingRepliesDoc) return true;
+
+  const replyCount = Number(existingRepliesDoc?.meta?.reply_count ?? -1);
+  const totalCount = Number(existingRepliesDoc?.meta?.total_count ?? replyCount);
+  const fetchedCount = Number(existingRepliesDoc?.meta?.fetched_count ?? existingRepliesDoc?.replies?.length ?? 0);
+  const repliesLength = Array.isArray(existingRepliesDoc?.replies) ? existingRepliesDoc.replies.length : 0;
+
+  if (replyCount !== Number(expectedCount)) return true;
+  if (existingRepliesDoc?.meta?.partial === true) return true;
+  if (fetchedCount < totalCount) return true;
+  if (repliesLength < totalCount) return true;
+
+  return false;
+}
+
+export async function readJson(file, fallback) {
+  try {
+    const txt = await fs.readFile(file, "utf8");
+    return JSON.parse(txt);
+  } catch {
+    return fallback;
+  }
+}
+
+export async function writeJsonAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  tmpCounter += 1;
+  const tmp = `${file}.${process.pid}.${tmpCounter}.tmp`;
+  await fs.writeFile(tmp, `${JSON.stringify(data, null, 2)}\n`, "utf8");
+  await fs.rename(tmp, file);
+}
+
+export async function ensureDirs(dirs) {
+  await Promise.all(dirs.map((dir) => fs.mkdir(dir, { recursive: true })));
+}
+
+export async function safeReadDir(dir) {
+  try {
+    return await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+}
+
+export async function fileVersion(file) {
+  try {
+    const stat = await fs.stat(file);
+    // Whole seconds: cache archives do not always keep sub-second mtimes.
+    return `${stat.size}:${Math.floor(stat.mtimeMs / 1000)}`;
+  } catch {
+    return null;
+  }
+}
+
+export function memberKey(username) {
+  return encodeURIComponent(String(username ?? "").toLowerCase());
+}
+
+async function readJsonDir(dir) {
+  const files = await safeReadDir(dir);
+  const docs = [];
+  for (const file of files) {
+    if (!file.isFile() || !file.name.endsWith(".json")) continue;
+    const doc = await readJson(path.join(dir, file.name), null);
+    if (doc) docs.push(doc);
+  }
+  return docs;
+}
+
+function toIds(keys) {
+  return keys.map(Number).filter((id) => Number.isFinite(id) && id > 0);
+}
+
+async function listIds(dir) {
+  const files = await safeReadDir(dir);
+  const ids = [];
+  for (const file of files) {
+    if (!file.isFile() || !file.name.endsWith(".json")) continue;
+    const id = Number(file.name.replace(/\.json$/i, ""));
+    if (Number.isFinite(id) && id > 0) ids.push(id);
+  }
+  return ids;
+}
@@ -0,0 +1,70 @@
+import { existsSync } from "node:fs";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { createDataStore, PACKED_MARKER_FILE, STORAGE_BACKENDS, writeJsonAtomic } from "../lib/store.mjs";
+
+const ARGS = parseArgs({
+  options: {
+    to: { type: "string" },
+    compact: { type: "boolean", default: false },
+    prune: { type: "boolean", default: false }
+  },
+  strict: true
+}).values;
+
+async function main() {
+  const source = createDataStore();
+
+  if (ARGS.compact) {
+    if (source.backend !== "packed") throw new Error("--compact only applies to the packed backend");
+    for (const [name, collection] of Object.entries(source.collections)) {
+      const result = await collection.compact();
+      console.log(`Compacted ${name}: entries=${result.entries} reclaimedBytes=${result.reclaimedBytes}`);
+    }
+    return;
+  }
+
+  const target = ARGS.to;
+  if (!STORAGE_BACKENDS.includes(target)) {
+    throw new Error(`Usage: --to <${STORAGE_BACKENDS.join("|")}> [--prune] or --compact`);
+  }
+  if (target === source.backend) {
+    console.log(`Storage already uses the ${target} backend.`);
+    return;
+  }
+
+  const marker = path.join(source.dirs.packed, PACKED_MARKER_FILE);
+  // Without the marker the packed store is what an interrupted migration left.
+  if (target === "packed" && !existsSync(marker)) await fs.rm(source.dirs.packed, { recursive: true, force: true });
+  const destination = createDataStore({ dataDir: source.dirs.root, backend: target });
+  const counts = {};
+  for (const name of Object.keys(source.collections)) {
+    counts[name] = 0;
+    for await (const { id, doc } of source.collections[name].entries()) {
+      await destination.collections[name].put(Number(id), doc);
+      counts[name] += 1;
+    }
+  }
+  await destination.flush();
+
+  if (target === "files") {
+    await fs.rm(marker, { force: true });
+    await fs.rm(source.dirs.packed, { recursive: true, force: true });
+  } else {
+    await writeJsonAtomic(marker, { migrated_at: new Date().toISOString(), ...counts });
+    if (ARGS.prune) {
+      await fs.rm(source.dirs.topics, { recursive: true, force: true });
+      await fs.rm(source.dirs.replies, { recursive: true, force: true });
+    }
+  }
+
+  console.log(
+    `Migrated ${source.backend} -> ${target}. topics=${counts.topics} replies=${counts.replies}${target === "packed" && !ARGS.prune ? " (old files kept; pass --prune to remove them)" : ""}`
+  );
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,131 @@
+import { shardOf, tokenize } from "./tokenize.js";
+
+const MAX_RESULTS = 100;
+
+const form = document.getElementById("search-form");
+const statusLine = document.getElementById("search-status");
+const resultList = document.getElementById("search-results");
+const indexBase = form.dataset.index;
+const siteBase = form.dataset.base;
+const messages = JSON.parse(form.dataset.messages);
+const cache = new Map();
+
+function message(key, params = {}) {
+  return messages[key].replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+function loadJson(name) {
+  if (!cache.has(name)) {
+    cache.set(
+      name,
+      fetch(`${indexBase}${name}`).then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${name}`);
+        return response.json();
+      })
+    );
+  }
+  return cache.get(name);
+}
+
+async function search(query, nodeName) {
+  const meta = await loadJson("meta.json");
+  const terms = [...new Set(tokenize(query, { query: true }))];
+  if (!terms.length) return { meta, total: 0, hits: [] };
+
+  const postings = await Promise.all(
+    terms.map(async (term) => (await loadJson(`terms-${shardOf(term, meta.shard_count)}.json`))[term] ?? [])
+  );
+  postings.sort((a, b) => a.length - b.length);
+
+  let scores = new Map();
+  for (let i = 0; i < postings[0].length; i += 2) scores.set(postings[0][i], postings[0][i + 1]);
+  for (const list of postings.slice(1)) {
+    const next = new Map();
+    for (let i = 0; i < list.length; i += 2) {
+      const score = scores.get(list[i]);
+      if (score !== undefined) next.set(list[i], score + list[i + 1]);
+    }
+    scores = next;
+  }
+
+  const nodeIndex = nodeName ? meta.nodes.findIndex(([name]) => name === nodeName) : -1;
+  const matches = [...scores.entries()]
+    .filter(([doc]) => nodeIndex < 0 || meta.doc_nodes[doc] === nodeIndex)
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+
+  const hits = [];
+  for (const [doc] of matches.slice(0, MAX_RESULTS)) {
+    const chunk = await loadJson(`docs-${Math.floor(doc / meta.doc_chunk_size)}.json`);
+    hits.push(chunk[doc % meta.doc_chunk_size]);
+  }
+  return { meta, total: matches.length, hits };
+}
+
+function renderResults({ meta, total, hits }, query) {
+  resultList.replaceChildren();
+  if (!query.trim()) {
+    statusLine.textContent = message("indexed", { count: meta.doc_count });
+    return;
+  }
+  statusLine.textContent = total > hits.length ? message("found_limited", { total, shown: hits.length }) : message("found", { total });
+  for (const [id, title, node] of hits) {
+    const item = document.createElement("li");
+    item.className = "topic-item";
+    const link = document.createElement("a");
+    link.className = "topic-title";
+    link.href = `${siteBase}t/${id}/`;
+    link.textContent = title || messages.untitled;
+    const info = document.createElement("div");
+    info.className = "meta";
+    info.textContent = `#${id} · ${meta.nodes[node]?.[1] || meta.nodes[node]?.[0] || "-"}`;
+    item.append(link, info);
+    resultList.append(item);
+  }
+  if (!hits.length) {
+    const empty = document.createElement("li");
+    empty.className = "empty";
+    empty.textContent = messages.no_results;
+    resultList.append(empty);
+  }
+}
+
+async function run() {
+  const query = form.elements.q.value;
+  try {
+    statusLine.textContent = messages.searching;
+    renderResults(await search(query, form.elements.node.value), query);
+  } catch (error) {
+    statusLine.textContent = message("failed", { error: error.message });
+  }
+}
+
+async function init() {
+  const params = new URLSearchParams(location.search);
+  form.elements.q.value = params.get("q") ?? "";
+  try {
+    const meta = await loadJson("meta.json");
+    const options = meta.nodes
+      .filter(([name]) => name)
+      .sort((a, b) => String(a[1]).localeCompare(String(b[1]), document.documentElement.lang))
+      .map(([name, title]) => new Option(title || name, name));
+    form.elements.node.append(...options);
+    form.elements.node.value = params.get("node") ?? "";
+  } catch (error) {
+    statusLine.textContent = message("failed", { error: error.message });
+    return;
+  }
+  if (form.elements.q.value) await run();
+}
+
+form.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const params = new URLSearchParams();
+  if (form.elements.q.value) params.set("q", form.elements.q.value);
+  if (form.elements.node.value) params.set("node", form.elements.node.value);
+  history.replaceState(null, "", `${location.pathname}${params.size ? `?${params}` : ""}`);
+  run();
+});
+
+form.elements.node.addEventListener("change", () => form.requestSubmit());
+
+init();
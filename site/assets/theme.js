@@ -0,0 +1,23 @@
+// The layout applies a stored choice before the page renders; without one the
+// stylesheet follows prefers-color-scheme. The toggle stores an explicit theme.
+const root = document.documentElement;
+const systemDark = window.matchMedia("(prefers-color-scheme: dark)");
+
+function currentTheme() {
+  return root.dataset.theme ?? (systemDark.matches ? "dark" : "light");
+}
+
+for (const button of document.querySelectorAll(".theme-toggle")) {
+  button.hidden = false;
+  button.setAttribute("aria-pressed", String(currentTheme() === "dark"));
+  button.addEventListener("click", () => {
+    const next = currentTheme() === "dark" ? "light" : "dark";
+    root.dataset.theme = next;
+    button.setAttribute("aria-pressed", String(next === "dark"));
+    try {
+      localStorage.setItem("theme", next);
+    } catch {
+      // Storage can be unavailable (private mode); the choice then lasts for this page only.
+    }
+  });
+}
@@ -0,0 +1,33 @@
+// Shared by the build (scripts/build/search.mjs) and the /search/ page so that
+// indexed terms and query terms are produced the same way.
+
+const CJK_CLASS = "\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff\\uac00-\\ud7af";
+const TOKEN_PATTERN = new RegExp(`([${CJK_CLASS}]+)|((?:(?![${CJK_CLASS}])[\\p{L}\\p{N}_])+)`, "gu");
+const MAX_WORD_LENGTH = 32;
+
+// Indexed CJK text yields every single character as well as every pair, so
+// that one-character queries find something. A query only needs its pairs,
+// which imply the characters, unless it is a single character itself.
+export function tokenize(text, { query = false } = {}) {
+  const tokens = [];
+  const normalized = String(text ?? "").normalize("NFKC").toLowerCase();
+  for (const match of normalized.matchAll(TOKEN_PATTERN)) {
+    const [run, cjk] = match;
+    if (cjk) {
+      if (!query || cjk.length === 1) tokens.push(...cjk);
+      for (let i = 0; i + 1 < cjk.length; i += 1) tokens.push(cjk.slice(i, i + 2));
+    } else {
+      tokens.push(run.slice(0, MAX_WORD_LENGTH));
+    }
+  }
+  return tokens;
+}
+
+export function shardOf(term, shardCount) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i += 1) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash % shardCount;
+}
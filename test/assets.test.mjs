@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import dns from "node:dns/promises";
+import { test } from "node:test";
+import { downloadImage, extractImageUrls } from "../scripts/lib/assets.mjs";
+
+const download = (url) => downloadImage(url, { maxBytes: 1024, timeoutMs: 5000 });
+
+test("loopback, private and link-local hosts are never requested", async () => {
+  for (const url of [
+    "http://127.0.0.1/a.png",
+    "http://localhost/a.png",
+    "http://[::1]/a.png",
+    "http://10.0.0.1/a.png",
+    "http://192.168.1.1/a.png",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://[fe80::1]/a.png",
+    "http://[::ffff:127.0.0.1]/a.png"
+  ]) {
+    await assert.rejects(download(url), { code: "private_host" }, url);
+  }
+});
+
+test("a host name that resolves to a private address is refused", async (t) => {
+  t.mock.method(dns, "lookup", async () => [
+    { address: "93.184.216.34", family: 4 },
+    { address: "10.1.2.3", family: 4 }
+  ]);
+  await assert.rejects(download("https://images.example.com/a.png"), { code: "private_host" });
+  assert.equal(dns.lookup.mock.callCount(), 1);
+});
+
+test("relative image paths resolve against V2EX", () => {
+  const html = '<img src="/static/img/a.png"><img src="//i.imgur.com/b.png"><img src="javascript:x"><img src=""><img src="c.png">';
+  assert.deepEqual(extractImageUrls(html), ["https://www.v2ex.com/static/img/a.png", "https://i.imgur.com/b.png", "https://www.v2ex.com/c.png"]);
+});
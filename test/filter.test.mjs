@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createContentFilter } from "../scripts/lib/filter.mjs";
+
+const topic = (fields) => ({ id: 1, title: "", content: "", member: { username: "alice" }, node: { name: "qna" }, ...fields });
+
+test("topics are filtered by id, node, member and keyword, in that order", () => {
+  const filter = createContentFilter({ topics: [7], nodes: ["Jobs"], members: ["Spammer"], keywords: ["推广"] });
+  assert.equal(filter.active, true);
+  assert.equal(filter.topicReason(topic({ id: 7, node: { name: "jobs" } })), "topic");
+  assert.equal(filter.topicReason(topic({ node: { name: "JOBS" } })), "node");
+  assert.equal(filter.topicReason(topic({ member: { username: "spammer" } })), "member");
+  assert.equal(filter.topicReason(topic({ title: "限时推广" })), "keyword");
+  assert.equal(filter.topicReason(topic({ supplements: [{ content: "推广链接" }] })), "keyword");
+  assert.equal(filter.topicReason(topic({ title: "普通问题" })), null);
+  assert.equal(filter.nodeFiltered("jobs"), true);
+});
+
+test("keywords match the visible text of rendered HTML, not its markup", () => {
+  const filter = createContentFilter({ keywords: ["href", "a & b"] });
+  assert.equal(filter.topicReason(topic({ content_rendered: '<a href="https://example.org">link</a>' })), null);
+  assert.equal(filter.topicReason(topic({ content_rendered: "<p>a &amp; b</p>" })), "keyword");
+});
+
+test("regular expression keywords give the same answer for every topic", () => {
+  const filter = createContentFilter({ keywords: ["/优惠\\s*码/gi"] });
+  for (let i = 0; i < 3; i += 1) {
+    assert.equal(filter.topicReason(topic({ title: `优惠 码 ${i}` })), "keyword");
+  }
+  assert.equal(filter.topicReason(topic({ title: "优惠" })), null);
+  assert.throws(() => createContentFilter({ keywords: ["/(/"] }), /Invalid filter policy/);
+});
+
+test("replies are hidden by member or reply keyword", () => {
+  const filter = createContentFilter({ members: ["bob"], replies: { members: ["carol"], keywords: ["+1"] } });
+  assert.equal(filter.replyReason({ member: { username: "Bob" }, content: "hi" }), "member");
+  assert.equal(filter.replyReason({ member: { username: "carol" }, content: "hi" }), "member");
+  assert.equal(filter.replyReason({ member: { username: "dave" }, content_rendered: "<p>+1</p>" }), "keyword");
+  assert.equal(filter.replyReason({ member: { username: "dave" }, content: "thanks" }), null);
+});
+
+test("without a policy nothing is filtered", () => {
+  const filter = createContentFilter(null);
+  assert.equal(filter.active, false);
+  assert.equal(filter.source, null);
+  assert.equal(filter.topicReason(topic({ title: "推广" })), null);
+});
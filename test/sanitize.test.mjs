@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createSanitizer } from "../scripts/build/sanitize.mjs";
+
+test("javascript: links lose their href, however they are spelled", () => {
+  const sanitizer = createSanitizer();
+  for (const href of ["javascript:alert(1)", "JaVaScRiPt&#58;alert(1)", " java\tscript:alert(1)"]) {
+    assert.equal(sanitizer.clean(`<a href="${href}">x</a>`, "x"), "<a>x</a>");
+  }
+  assert.equal(sanitizer.clean('<img src="data:image/png;base64,AAAA">', ""), "");
+});
+
+test("event handler and style attributes are removed", () => {
+  const sanitizer = createSanitizer();
+  assert.equal(sanitizer.clean('<p onclick="x()" style="color:red">hi</p>', "hi"), "<p>hi</p>");
+  assert.equal(sanitizer.clean('<img src="https://i.v2ex.co/a.png" onerror=alert(1)>', ""), '<img src="https://i.v2ex.co/a.png">');
+});
+
+test("svg, style, script and iframe are dropped with their content", () => {
+  const sanitizer = createSanitizer();
+  assert.equal(sanitizer.clean("<svg onload=alert(1)><circle/></svg>after", "after"), "after");
+  assert.equal(sanitizer.clean("<style>body{display:none}</style>ok", "ok"), "ok");
+  assert.equal(sanitizer.clean("<script>alert(1)</script>ok", "ok"), "ok");
+  assert.equal(sanitizer.clean('<iframe src="https://example.org"></iframe>', ""), "");
+  assert.equal(sanitizer.clean('"><script>x</script>', ""), '"&gt;');
+  assert.match(sanitizer.summary(), /tag:svg=1/);
+});
+
+test("relative links point at V2EX and external links get rel", () => {
+  const sanitizer = createSanitizer();
+  assert.equal(sanitizer.clean('<a href="/member/alice">@alice</a>', ""), '<a href="https://www.v2ex.com/member/alice">@alice</a>');
+  assert.equal(
+    sanitizer.clean('<a href="https://example.org">e</a>', ""),
+    '<a href="https://example.org" rel="nofollow noopener noreferrer ugc">e</a>'
+  );
+});
@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createSearchIndex } from "../scripts/build/search.mjs";
+import { shardOf, tokenize } from "../site/assets/tokenize.js";
+
+// The same lookup as site/assets/search.js: every query term has to match.
+function search(index, query) {
+  const files = new Map(index.files().map(([name, content]) => [name, JSON.parse(content)]));
+  const meta = files.get("meta.json");
+  const docs = files.get("docs-0.json");
+  let found = null;
+  for (const term of new Set(tokenize(query, { query: true }))) {
+    const postings = files.get(`terms-${shardOf(term, meta.shard_count)}.json`)[term] ?? [];
+    const ids = new Set(postings.filter((_, i) => i % 2 === 0).map((doc) => docs[doc][0]));
+    found = found === null ? ids : new Set([...found].filter((id) => ids.has(id)));
+  }
+  return [...(found ?? [])].sort((a, b) => a - b);
+}
+
+const index = createSearchIndex({ shardCount: 4 });
+index.add({ id: 1, title: "我家的猫很可爱", created: 1 });
+index.add({ id: 2, title: "C 语言和 R 的入门书", created: 2 });
+index.add({ id: 3, title: "狗粮推荐", created: 3 });
+
+test("a single CJK character matches inside longer runs", () => {
+  assert.deepEqual(search(index, "猫"), [1]);
+  assert.deepEqual(search(index, "的"), [1, 2]);
+});
+
+test("a single Latin letter is a term of its own", () => {
+  assert.deepEqual(search(index, "C"), [2]);
+  assert.deepEqual(search(index, "r"), [2]);
+});
+
+test("longer queries still match by character pairs", () => {
+  assert.deepEqual(search(index, "可爱的猫"), []);
+  assert.deepEqual(search(index, "猫很可爱"), [1]);
+  assert.deepEqual(tokenize("猫很", { query: true }), ["猫很"]);
+});
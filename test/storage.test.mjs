@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { existsSync } from "node:fs";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { createDataStore, PACKED_MARKER_FILE } from "../scripts/lib/store.mjs";
+
+const MIGRATE_SCRIPT = fileURLToPath(new URL("../scripts/storage/migrate.mjs", import.meta.url));
+
+async function migrate(dataDir, args) {
+  const env = { ...process.env, DATA_DIR: dataDir };
+  delete env.DATA_STORE;
+  await promisify(execFile)(process.execPath, [MIGRATE_SCRIPT, ...args], { env, timeout: 60000 });
+}
+
+async function readAll(store) {
+  const topics = {};
+  const replies = {};
+  for await (const { id, doc } of store.collections.topics.entries()) topics[id] = doc;
+  for await (const { id, doc } of store.collections.replies.entries()) replies[id] = doc;
+  return { topics, replies };
+}
+
+test("documents survive a files -> packed -> files round trip", async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "v2ex-mirror-storage-"));
+  try {
+    const files = createDataStore({ dataDir, backend: "files" });
+    await files.ensureDirs();
+    for (let id = 1; id <= 5; id += 1) {
+      await files.writeTopicDoc(id, { topic: { id, title: `话题 ${id}`, content: "a\nb" }, meta: { fetched_at: id } });
+      await files.writeRepliesDoc(id, { replies: [{ id: id * 10, content: `reply ${id}` }], meta: { count: 1 } });
+    }
+    const original = await readAll(files);
+
+    await migrate(dataDir, ["--to", "packed"]);
+    assert.ok(existsSync(path.join(dataDir, "packed", PACKED_MARKER_FILE)));
+    const packed = createDataStore({ dataDir });
+    assert.equal(packed.backend, "packed");
+    assert.deepEqual(await readAll(packed), original);
+
+    await packed.writeTopicDoc(3, { topic: { id: 3, title: "edited" }, meta: {} });
+    await packed.flush();
+    await migrate(dataDir, ["--compact"]);
+    original.topics[3] = { topic: { id: 3, title: "edited" }, meta: {} };
+    assert.deepEqual(await readAll(createDataStore({ dataDir })), original);
+
+    await migrate(dataDir, ["--to", "files"]);
+    assert.ok(!existsSync(path.join(dataDir, "packed")));
+    const restored = createDataStore({ dataDir });
+    assert.equal(restored.backend, "files");
+    assert.deepEqual(await readAll(restored), original);
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
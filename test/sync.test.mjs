@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { createDataStore } from "../scripts/lib/store.mjs";
+
+const SYNC_SCRIPT = fileURLToPath(new URL("../scripts/fetch/run.mjs", import.meta.url));
+const now = Math.floor(Date.now() / 1000);
+const topic = (id) => ({
+  id,
+  title: `topic ${id}`,
+  content: "",
+  replies: 0,
+  member: { username: "alice" },
+  node: { name: "qna" },
+  created: now - id * 60,
+  last_modified: now - id * 60,
+  last_touched: now - id * 60
+});
+
+// Serves the lists and answers every topic request with `topicResponse`.
+async function startUpstream(topicResponse) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const send = (status, body) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    if (pathname === "/api/topics/latest.json") return send(200, Array.from({ length: 6 }, (_, i) => topic(i + 1)));
+    if (pathname === "/api/topics/hot.json") return send(200, []);
+    if (pathname === "/api/nodes/all.json") return send(200, [{ name: "qna", title: "qna" }]);
+    return send(...topicResponse);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return server;
+}
+
+async function runSync(topicResponse) {
+  const server = await startUpstream(topicResponse);
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), "v2ex-mirror-sync-"));
+  try {
+    const env = {
+      ...process.env,
+      DATA_DIR: path.join(cwd, "data"),
+      V2EX_API_BASE: `http://127.0.0.1:${server.address().port}/api`,
+      FETCH_INTERVAL_MS: "1",
+      FETCH_MAX_INTERVAL_MS: "10",
+      FETCH_RETRIES: "5",
+      FETCH_BREAKER_THRESHOLD: "4"
+    };
+    delete env.V2EX_TOKEN;
+    delete env.DATA_STORE;
+    await promisify(execFile)(process.execPath, [SYNC_SCRIPT], { cwd, env, timeout: 60000 });
+    const report = JSON.parse(await fs.readFile(path.join(cwd, "data", "meta", "last_run.json"), "utf8"));
+    const docs = await createDataStore({ dataDir: env.DATA_DIR, backend: "files" }).listTopicDocs();
+    return { report, docs };
+  } finally {
+    server.close();
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+}
+
+test("a burst of plain 403s trips the breaker without tombstoning topics", async () => {
+  const { report, docs } = await runSync([403, { error: "forbidden" }]);
+  assert.match(report.aborted?.reason ?? "", /consecutive HTTP 403/);
+  assert.deepEqual(report.topics.tombstoned, []);
+  assert.equal(docs.filter((doc) => doc?.meta?.tombstone).length, 0);
+});
+
+test("topics in flight when the breaker trips are reported as deferred", async () => {
+  const { report } = await runSync([403, { error: "forbidden" }]);
+  assert.deepEqual(report.topics.failed, []);
+  assert.equal(report.topics.deferred.count, 6);
+  assert.equal(report.topics.deferred.by_priority.latest, 6);
+});
+
+test("a 403 behind the login wall records a login_required tombstone", async () => {
+  const { report, docs } = await runSync([403, { message: "需要登录后才能查看" }]);
+  assert.equal(report.aborted, null);
+  assert.equal(report.topics.tombstoned.length, 6);
+  assert.ok(docs.every((doc) => doc.meta.tombstone.state === "login_required"));
+});